@@ -0,0 +1,90 @@
+import User from "../models/userModel.js";
+import Monument from "../models/monumentModel.js";
+import Gallery from "../models/galleryModel.js";
+import { hasPermission } from "./roles.js";
+
+export const forbidden = (response, message) =>
+  response.status(403).send({ message: `Forbidden: ${message}` });
+
+// Loads the account behind the JWT so permission checks use its current role
+export const loadAccount = async (req, res, next) => {
+  try {
+    const account = await User.findById(req.user.id);
+    if (!account) return res.status(401).send({ message: "Unauthorized" });
+
+    req.account = account;
+    next();
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.account, permission)) {
+    return forbidden(res, `${permission} permission is required`);
+  }
+  next();
+};
+
+export const isOwnerOrManager = (account, monument) =>
+  monument.user?.equals(account._id) ||
+  hasPermission(account, "monument:manage-any");
+
+// Reviewers see every monument, contributors only their own
+export const canReadMonument = (account, monument) =>
+  isOwnerOrManager(account, monument) ||
+  hasPermission(account, "monument:list-all");
+
+// Allows the request through when `allowed(account, monument)`. The monument
+// is read from the `id` (or `monumentId`) route parameter and left on
+// req.monument for the handler.
+const monumentGuard = (allowed, message) => async (req, res, next) => {
+  try {
+    const id = req.params.monumentId || req.params.id;
+    const monument = await Monument.findById(id);
+    if (!monument) {
+      return res.status(404).json({ message: "Monument is not found" });
+    }
+    if (!allowed(req.account, monument)) return forbidden(res, message);
+
+    req.monument = monument;
+    next();
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+// for the monument owner or an admin
+export const requireMonumentOwner = monumentGuard(
+  isOwnerOrManager,
+  "only the owner can change this monument"
+);
+
+// for the monument owner and reviewers
+export const requireMonumentReader = monumentGuard(
+  canReadMonument,
+  "only the owner can see this monument"
+);
+
+// Same check for a gallery item, ownership follows its parent monument
+export const requireGalleryOwner = async (req, res, next) => {
+  try {
+    const galleryItem = await Gallery.findById(req.params.id);
+    if (!galleryItem) {
+      return res.status(404).json({ message: "Gallery item not found" });
+    }
+    const monument = await Monument.findById(galleryItem.monumentId);
+    if (!monument || !isOwnerOrManager(req.account, monument)) {
+      return forbidden(res, "only the monument owner can change this item");
+    }
+
+    req.galleryItem = galleryItem;
+    req.monument = monument;
+    next();
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,20 @@
+// Roles a user account can hold, from least to most privileged
+export const ROLES = ["contributor", "reviewer", "admin"];
+
+const contributor = [];
+const reviewer = [...contributor, "monument:list-all", "monument:review"];
+const admin = [
+  ...reviewer,
+  "monument:manage-any",
+  "monument:rollback",
+  "user:manage",
+];
+
+const permissions = { contributor, reviewer, admin };
+
+// Accounts registered before roles existed were stored as "user"
+export const roleOf = (account) =>
+  account.type == "user" ? "contributor" : account.type;
+
+export const hasPermission = (account, permission) =>
+  (permissions[roleOf(account)] || []).includes(permission);
@@ -9,7 +9,12 @@ import galleryRoute from "./routes/galleryRoute.js";
 import loginRoute from "./routes/loginRoute.js";
 import adminRoute from "./routes/adminRoute.js";
 import publicRoute from "./routes/publicRoute.js";
+import uploadRoute from "./routes/uploadRoute.js";
 import authenticateToken from "./auth/authMiddleware.js";
+import { loadAccount, requirePermission } from "./auth/permissions.js";
+import { scheduleTrashPurge } from "./services/trash.js";
+import { startWorker } from "./services/jobs.js";
+import { scheduleUploadPurge } from "./services/chunkedUploads.js";
 
 dotenv.config();
 
@@ -17,21 +22,33 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 app.use(cors());
-app.use(express.static("uploads"));
+app.use(express.static(process.env.LOCAL_STORAGE_ROOT || "uploads"));
 
 app.get("/", (request, response) => {
   return response.status(200).send("welcome to Historical monuments project ");
 });
 //authenticateToken need to added !!!!!!!!!!!!!!!!!!!!!!!!
-app.use("/monuments", authenticateToken, monumentRoute);
-app.use("/gallery", authenticateToken, galleryRoute);
+app.use("/monuments", authenticateToken, loadAccount, monumentRoute);
+app.use("/gallery", authenticateToken, loadAccount, galleryRoute);
+app.use("/uploads", authenticateToken, loadAccount, uploadRoute);
 app.use("/users", loginRoute);
-app.use("/admin", authenticateToken, adminRoute);
+app.use(
+  "/admin",
+  authenticateToken,
+  loadAccount,
+  requirePermission("monument:review"),
+  adminRoute
+);
 app.use("/public", publicRoute);
 mongoose
   .connect(process.env.MONGOURL)
   .then(() => {
     console.log("app connected to database");
+    scheduleTrashPurge();
+    scheduleUploadPurge();
+    // small setups can process media in the API process instead of running
+    // worker.js next to it
+    if (process.env.JOB_WORKER == "inline") startWorker();
     app.listen(process.env.PORT, () => {
       console.log(`app is listerning to port: ${process.env.PORT}`);
     });
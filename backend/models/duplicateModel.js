@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// One side of a duplicate pair: a gallery image or a monument's cover, with
+// the hash it had when the pair was found
+const duplicateImageSchema = mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["gallery", "cover"],
+      required: true,
+    },
+    // gallery item, or monument for a cover
+    imageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    monumentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false,
+    },
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Two near-duplicate images, found when one of them was hashed, see
+// services/duplicates.js. `image` is the later of the two, `match` the
+// earlier one it duplicates.
+const duplicateSchema = mongoose.Schema(
+  {
+    image: {
+      type: duplicateImageSchema,
+      required: true,
+    },
+    match: {
+      type: duplicateImageSchema,
+      required: true,
+    },
+    // number of differing bits between the hashes
+    distance: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+duplicateSchema.index(
+  {
+    "image.kind": 1,
+    "image.imageId": 1,
+    "match.kind": 1,
+    "match.imageId": 1,
+  },
+  { unique: true }
+);
+duplicateSchema.index({ "match.kind": 1, "match.imageId": 1 });
+
+const Duplicate = mongoose.model("duplicate", duplicateSchema);
+
+export default Duplicate;
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import reviewLogSchema from "./reviewLogSchema.js";
+import mediaRightsSchema from "./mediaRightsSchema.js";
+import mediaExifSchema from "./mediaExifSchema.js";
+import { STATES } from "../services/moderation.js";
 const gallerySchema = mongoose.Schema(
   {
     imgTitle: {
@@ -13,16 +17,115 @@ const gallerySchema = mongoose.Schema(
       type: String,
       required: true,
     },
+    // credit and licence of the media
+    rights: {
+      type: mediaRightsSchema,
+      required: false,
+    },
+    // capture date and camera read from an image
+    exif: {
+      type: mediaExifSchema,
+      required: false,
+    },
+    // perceptual hash of an image, see services/duplicates.js
+    phash: {
+      type: String,
+      required: false,
+    },
+    // width of each stored size of an image, videos have none
+    variants: {
+      type: Object,
+      required: false,
+    },
+    // videos only: poster frame key, length in seconds and resolution
+    poster: {
+      type: String,
+      required: false,
+    },
+    duration: {
+      type: Number,
+      required: false,
+    },
+    width: {
+      type: Number,
+      required: false,
+    },
+    height: {
+      type: Number,
+      required: false,
+    },
+    // long videos: HLS renditions stored under hls.prefix, see
+    // services/videos.js. The playlists are only read to serve them.
+    hls: {
+      type: Object,
+      required: false,
+    },
+    hlsPlaylists: {
+      type: Object,
+      required: false,
+      select: false,
+    },
+    // raw upload the worker is processing, see services/mediaJobs.js. A new
+    // item points `image` at it until then, a replaced one keeps its media.
+    pendingUpload: {
+      type: String,
+      required: false,
+    },
+    mediaStatus: {
+      type: String,
+      enum: ["processing", "ready", "failed"],
+      default: "ready",
+    },
+    mediaError: {
+      type: String,
+      required: false,
+    },
     // Define foreign key reference to Monument model
     monumentId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "monument", // Reference to the Monument model
     },
+    // place in the monument's gallery, lowest first. Items from before
+    // manual ordering have none and come first, oldest first.
+    position: {
+      type: Number,
+      required: false,
+    },
+    // uploader of the item
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // moderation state, same workflow as monuments
+    status: {
+      type: String,
+      enum: STATES,
+      default: "submitted",
+    },
+    submittedAt: {
+      type: Date,
+      required: false,
+    },
+    reviewLog: {
+      type: [reviewLogSchema],
+      default: [],
+    },
+    // trashed together with the parent monument
+    trash: {
+      type: Date,
+      required: false,
+      default: null,
+    },
   },
 
   {
     timestamps: true,
   }
 );
+gallerySchema.index({ monumentId: 1, position: 1, createdAt: 1 });
+
+// order of the items of a monument's gallery
+export const galleryOrder = { position: 1, createdAt: 1 };
+
 const Gallery = mongoose.model("gallery", gallerySchema);
 export default Gallery;
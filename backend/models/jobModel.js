@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A unit of background work, claimed and run by the worker, see
+// services/jobs.js
+const jobSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Object,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "done", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // not picked up before this time, pushed back after a failed attempt
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // set while a worker runs the job
+    lockedAt: {
+      type: Date,
+      required: false,
+    },
+    finishedAt: {
+      type: Date,
+      required: false,
+    },
+    // message of the last failed attempt
+    error: {
+      type: String,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+// finished jobs are only kept for a week, failed ones stay for inspection
+jobSchema.index(
+  { finishedAt: 1 },
+  {
+    expireAfterSeconds: 7 * 24 * 60 * 60,
+    partialFilterExpression: { status: "done" },
+  }
+);
+
+const Job = mongoose.model("job", jobSchema);
+
+export default Job;
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// What the camera recorded about a photo, see services/exif.js
+const mediaExifSchema = mongoose.Schema(
+  {
+    capturedAt: {
+      type: Date,
+      required: false,
+    },
+    camera: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+export default mediaExifSchema;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { LICENCES } from "../services/mediaRights.js";
+
+// Who made a photo or video and how it may be reused, see
+// services/mediaRights.js
+const mediaRightsSchema = mongoose.Schema(
+  {
+    // photographer or other credit line
+    credit: {
+      type: String,
+      required: false,
+    },
+    // where the media was published first, if it was taken from elsewhere
+    sourceUrl: {
+      type: String,
+      required: false,
+    },
+    licence: {
+      type: String,
+      enum: LICENCES,
+      required: false,
+    },
+    capturedAt: {
+      type: Date,
+      required: false,
+    },
+    caption: {
+      type: String,
+      required: false,
+    },
+  },
+  { _id: false }
+);
+
+export default mediaRightsSchema;
@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import reviewLogSchema from "./reviewLogSchema.js";
+import mediaRightsSchema from "./mediaRightsSchema.js";
+import mediaExifSchema from "./mediaExifSchema.js";
+import pointSchema from "./pointSchema.js";
+import { STATES } from "../services/moderation.js";
 
 const monumentSchema = mongoose.Schema(
   {
@@ -10,6 +15,37 @@ const monumentSchema = mongoose.Schema(
       type: String,
       required: true,
     },
+    // width of each stored size of the cover, see services/images.js
+    cover_variants: {
+      type: Object,
+      required: false,
+    },
+    // credit and licence of the cover image
+    cover_rights: {
+      type: mediaRightsSchema,
+      required: false,
+    },
+    // capture date and camera read from the cover image
+    cover_exif: {
+      type: mediaExifSchema,
+      required: false,
+    },
+    // perceptual hash of the cover image, see services/duplicates.js
+    cover_phash: {
+      type: String,
+      required: false,
+    },
+    // "processing" until the worker has stored the uploaded cover in every
+    // size, see services/mediaJobs.js
+    mediaStatus: {
+      type: String,
+      enum: ["processing", "ready", "failed"],
+      default: "ready",
+    },
+    mediaError: {
+      type: String,
+      required: false,
+    },
     shortdescription: {
       type: String,
       required: false,
@@ -38,10 +74,19 @@ const monumentSchema = mongoose.Schema(
       type: String,
       required: false,
     },
+    // GeoJSON point, coordinates are [longitude, latitude]
     location: {
-      type: String,
+      type: pointSchema,
       required: false,
     },
+    // GPS position of the first uploaded photo that had one, offered to the
+    // owner while the monument has no location. Contributors' photos may be
+    // taken at home, so it is never published.
+    suggestedLocation: {
+      type: pointSchema,
+      required: false,
+      select: false,
+    },
     nation: {
       type: String,
       required: true,
@@ -58,13 +103,25 @@ const monumentSchema = mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "user",
     },
+    // moderation state, see services/moderation.js
     status: {
       type: String,
+      enum: STATES,
+      default: "submitted",
+    },
+    submittedAt: {
+      type: Date,
       required: false,
     },
+    reviewLog: {
+      type: [reviewLogSchema],
+      default: [],
+    },
+    // set when the monument is moved to the trash, cleared on restore
     trash: {
-      type: String,
+      type: Date,
       required: false,
+      default: null,
     },
   },
   {
@@ -72,6 +129,48 @@ const monumentSchema = mongoose.Schema(
   }
 );
 
+monumentSchema.index({ status: 1, trash: 1, createdAt: -1 });
+monumentSchema.index({ user: 1, trash: 1, createdAt: -1 });
+monumentSchema.index({ location: "2dsphere" });
+
+// Full-text search, a match in the title counts more than one in the body
+export const searchWeights = {
+  title: 10,
+  place: 5,
+  state: 3,
+  nation: 3,
+  shortdescription: 3,
+  description: 2,
+  ipms_place: 1,
+  archi_imps: 1,
+  hst_chronology: 1,
+  past_condition: 1,
+  present_condition: 1,
+};
+monumentSchema.index(
+  Object.fromEntries(
+    Object.keys(searchWeights).map((field) => [field, "text"])
+  ),
+  { name: "monument_text", weights: searchWeights }
+);
+
+// Monument fields a contributor may change through PUT /monuments/:id
+export const editableFields = [
+  "title",
+  "shortdescription",
+  "description",
+  "nation",
+  "state",
+  "place",
+  "location",
+  "hst_chronology",
+  "ipms_place",
+  "past_condition",
+  "present_condition",
+  "archi_imps",
+  "cover_rights",
+];
+
 const Monument = mongoose.model("monument", monumentSchema);
 
 export default Monument;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Immutable snapshot of a monument taken on every save
+const monumentVersionSchema = mongoose.Schema(
+  {
+    monumentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "monument",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // create, update, revision, rollback or baseline (state found before
+    // the first recorded save of a monument created without history)
+    action: {
+      type: String,
+      required: true,
+    },
+    snapshot: {
+      type: Object,
+      required: true,
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    rolledBackTo: {
+      type: Number,
+      required: false,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+monumentVersionSchema.index({ monumentId: 1, version: -1 }, { unique: true });
+
+const MonumentVersion = mongoose.model(
+  "monumentVersion",
+  monumentVersionSchema
+);
+
+export default MonumentVersion;
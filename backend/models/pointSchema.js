@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// GeoJSON point, coordinates are [longitude, latitude]
+const pointSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+export default pointSchema;
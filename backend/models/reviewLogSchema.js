@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// One entry per moderation transition, see services/moderation.js
+const reviewLogSchema = mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: false,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    comment: {
+      type: String,
+      required: false,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+export default reviewLogSchema;
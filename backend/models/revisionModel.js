@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// A pending edit to a verified monument. The monument itself keeps serving
+// its last verified values until an admin approves the revision.
+const revisionSchema = mongoose.Schema(
+  {
+    monumentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "monument",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Proposed field values, including a newly uploaded cover_image key
+    changes: {
+      type: Object,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reason: {
+      type: String,
+      required: false,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Revision = mongoose.model("revision", revisionSchema);
+
+export default Revision;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// A resumable upload sent in chunks, see services/chunkedUploads.js. Once
+// complete the file is staged in storage at `key` until a gallery item
+// takes it.
+const uploadSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    originalname: {
+      type: String,
+      required: true,
+    },
+    mimetype: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    chunkSize: {
+      type: Number,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    // indexes of the chunks stored so far
+    received: {
+      type: [Number],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "complete"],
+      default: "uploading",
+    },
+    key: {
+      type: String,
+      required: false,
+    },
+    // abandoned uploads are deleted with their chunks after this
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadSchema.index({ expiresAt: 1 });
+
+const Upload = mongoose.model("upload", uploadSchema);
+
+export default Upload;
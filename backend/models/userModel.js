@@ -21,8 +21,9 @@ const userSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['admin', 'user'], // Specify allowed user types
-    default: 'user' // Default type if not specified
+    // "user" is the legacy name of the contributor role, see auth/roles.js
+    enum: ['admin', 'reviewer', 'contributor', 'user'], // Specify allowed user types
+    default: 'contributor' // Default type if not specified
   }
 });
 
@@ -1,117 +1,421 @@
 import express from "express";
+import mongoose from "mongoose";
 import Monument from "../models/monumentModel.js";
+import Gallery from "../models/galleryModel.js";
 import User from "../models/userModel.js";
-import multer from "multer";
-import fs, { copyFileSync } from "fs";
-import path from "path";
+import { requirePermission } from "../auth/permissions.js";
+import { ROLES } from "../auth/roles.js";
+import Revision from "../models/revisionModel.js";
+import MonumentVersion from "../models/monumentVersionModel.js";
+import { mediaUrl, imageSet, withMediaUrls } from "../services/mediaUrls.js";
+import { trashMonument } from "../services/trash.js";
+import { parseListQuery, paginate } from "../services/listQuery.js";
+import { transition, ModerationError } from "../services/moderation.js";
+import { applyChanges, discardChanges } from "../services/revisions.js";
+import { readPoint } from "../services/geo.js";
+import { queueDuplicates } from "../services/mediaJobs.js";
+import { duplicateClusters, mergeDuplicates } from "../services/duplicates.js";
+import {
+  versionedFields,
+  ensureBaseline,
+  recordVersion,
+} from "../services/versions.js";
 
+// Every route here is mounted behind the monument:review permission (see
+// index.js), admin-only routes check their own permission on top of it.
 const router = express.Router();
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/coverimg/");
-  },
-  filename: function (req, file, cb) {
-    // Generate a random number between 1000 and 9999
-    const randomNumber = Math.floor(Math.random() * 9000) + 1000;
-    // Append the random number to the original filename
-    const modifiedFilename = randomNumber + "-" + file.originalname;
-    cb(null, modifiedFilename);
-  },
-});
-
-const upload = multer({ storage: storage });
 
-// route get all
+// route get all, one page at a time
 router.get("/", async (request, response) => {
   try {
-    const monument = await Monument.find();
+    const { page, limit, sort, filter } = parseListQuery(request.query);
+    const result = await paginate(
+      Monument,
+      { ...filter, trash: null },
+      { page, limit, sort }
+    );
 
-    return response.status(200).json(monument);
+    return response.status(200).json(result);
   } catch (error) {
     console.log(error.message);
     response.status(500).send({ message: error.message });
   }
 });
 
-// verify
-router.put("/verify/:id", async (request, response) => {
+// submissions awaiting review, oldest first
+router.get("/queue", async (request, response) => {
   try {
-    const users = await User.findById(request.user.id);
-    console.log(users.type);
-    if (users.type == "user")
-      return response
-        .status(403)
-        .json({ message: "Verification is not allowed for user" });
+    const monuments = await Monument.find({ status: "submitted", trash: null })
+      .sort({ submittedAt: 1 })
+      .populate("user", "name");
 
-    const { id } = request.params;
+    const updatedMonuments = await withMediaUrls(monuments);
 
-    const monument = await Monument.findById(id);
+    return response.status(200).json(updatedMonuments);
+  } catch (error) {
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
+
+// approve, request changes, reject or archive a monument with a comment
+router.put("/review/:id", async (request, response) => {
+  try {
+    const monument = await Monument.findById(request.params.id);
     if (!monument) {
       return response.status(404).json({ message: "Monument is not found" });
     }
 
-    monument.status = 1;
+    transition(monument, request.body.status, {
+      account: request.account,
+      isOwner: false,
+      comment: request.body.comment,
+    });
     await monument.save();
+
     return response
       .status(200)
-      .json({ message: "Monument verified successfully" });
+      .json({ message: `Monument is ${monument.status}` });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return response.status(error.status).send({ message: error.message });
+    }
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
+
+// list revisions, pending ones by default
+router.get("/revisions", async (request, response) => {
+  try {
+    const filter = { status: request.query.status || "pending" };
+    if (request.query.monumentId) filter.monumentId = request.query.monumentId;
+
+    const revisions = await Revision.find(filter)
+      .sort({ createdAt: 1 })
+      .populate("user", "name");
+
+    const updatedRevisions = await Promise.all(
+      revisions.map(async (revision) => ({
+        ...revision.toObject(),
+        imageUrl: await mediaUrl(revision.changes.cover_image),
+        imageSet: await imageSet(
+          revision.changes.cover_image,
+          revision.changes.cover_variants
+        ),
+      }))
+    );
+
+    return response.status(200).json(updatedRevisions);
   } catch (error) {
     console.error(error.message);
     return response.status(500).send({ message: "Internal Server Error" });
   }
 });
 
-// unverify
-router.put("/unverify/:id", async (request, response) => {
+// approve a revision, its values become the published monument
+router.put("/revisions/:id/approve", async (request, response) => {
   try {
-    const users = await User.findById(request.user.id);
-    if (users.type == "user")
+    const revision = await Revision.findById(request.params.id);
+    if (!revision) {
+      return response.status(404).json({ message: "Revision is not found" });
+    }
+    if (revision.status != "pending") {
       return response
-        .status(404)
-        .json({ message: "Verification is not allowed for user" });
-
-    const { id } = request.params;
+        .status(409)
+        .json({ message: `Revision is already ${revision.status}` });
+    }
 
-    const monument = await Monument.findById(id);
+    const monument = await Monument.findById(revision.monumentId);
     if (!monument) {
       return response.status(404).json({ message: "Monument is not found" });
     }
 
-    monument.status = 0;
-    await monument.save();
+    await applyChanges(monument, revision.changes, revision.user, "revision");
+
+    revision.status = "approved";
+    revision.reviewedBy = request.user.id;
+    revision.reviewedAt = new Date();
+    await revision.save();
+
     return response
       .status(200)
-      .json({ message: "Monument successfully  unverified" });
+      .json({ message: "Revision approved successfully" });
   } catch (error) {
     console.error(error.message);
     return response.status(500).send({ message: "Internal Server Error" });
   }
 });
-//delete
-router.delete("/:id", async (request, response) => {
+
+// reject a revision, it stays in the contributor's history with the reason
+router.put("/revisions/:id/reject", async (request, response) => {
   try {
-    const { id } = request.params;
-    const result = await Monument.findByIdAndDelete(id);
-    if (!result) {
-      return response.status(404).json({ mesage: "monument not found " });
+    if (!request.body.reason) {
+      return response
+        .status(400)
+        .send({ message: "send all required fields: reason" });
     }
 
-    const imagePath = path.join("uploads", "coverimg", result.cover_image);
-    fs.unlink(imagePath, (err) => {
-      if (err) {
-        console.error("Error deleting image:", err);
-      } else {
-        console.log("Image deleted successfully");
-      }
+    const revision = await Revision.findById(request.params.id);
+    if (!revision) {
+      return response.status(404).json({ message: "Revision is not found" });
+    }
+    if (revision.status != "pending") {
+      return response
+        .status(409)
+        .json({ message: `Revision is already ${revision.status}` });
+    }
+
+    await discardChanges(revision.changes);
+
+    revision.status = "rejected";
+    revision.reason = request.body.reason;
+    revision.reviewedBy = request.user.id;
+    revision.reviewedAt = new Date();
+    await revision.save();
+
+    return response
+      .status(200)
+      .json({ message: "Revision rejected successfully" });
+  } catch (error) {
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
+
+// one monument in any state with the name of its owner, shaped like
+// GET /public/:id, for the review panel of the monument page
+router.get("/monuments/:id", async (request, response) => {
+  try {
+    const monument = await Monument.findOne({
+      _id: request.params.id,
+      trash: null,
+    }).populate("user", "name");
+    if (!monument) {
+      return response.status(404).json({ message: "Monument is not found" });
+    }
+
+    return response.status(200).json({
+      monument: {
+        ...monument.toObject(),
+        user: monument.user?._id,
+        imageUrl: await mediaUrl(monument.cover_image),
+        imageSet: await imageSet(monument.cover_image, monument.cover_variants),
+      },
+      userName: monument.user?.name,
     });
+  } catch (error) {
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
+
+// roll a monument back to an earlier version, including its cover image
+router.put(
+  "/monuments/:id/rollback/:version",
+  requirePermission("monument:rollback"),
+  async (request, response) => {
+    try {
+      const monument = await Monument.findById(request.params.id);
+      if (!monument) {
+        return response.status(404).json({ message: "Monument is not found" });
+      }
+
+      const version = await MonumentVersion.findOne({
+        monumentId: monument._id,
+        version: Number(request.params.version),
+      });
+      if (!version) {
+        return response.status(404).json({ message: "Version is not found" });
+      }
+
+      await ensureBaseline(monument);
+      for (const field of versionedFields) {
+        monument[field] = version.snapshot[field] ?? undefined;
+      }
+      // versions recorded before locations were GeoJSON hold "lat,long" text
+      monument.location = readPoint(version.snapshot.location) ?? undefined;
+      const coverChanged = monument.isModified("cover_phash");
+      await monument.save();
+      await recordVersion(monument, request.user.id, "rollback", {
+        rolledBackTo: version.version,
+      });
+      if (coverChanged) await queueDuplicates("cover", monument._id);
+
+      return response.status(200).json({
+        message: `Monument rolled back to version ${version.version}`,
+      });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+// groups of near-duplicate images across every gallery and cover
+router.get("/duplicates", async (request, response) => {
+  try {
+    const clusters = await duplicateClusters();
+    const images = clusters.flat();
+
+    const [galleryItems, monuments] = await Promise.all([
+      Gallery.find({
+        _id: {
+          $in: images
+            .filter((image) => image.kind == "gallery")
+            .map((image) => image._id),
+        },
+      }),
+      Monument.find({
+        _id: { $in: images.map((image) => image.monumentId) },
+      }).select("title cover_image cover_variants status"),
+    ]);
+    const galleryById = new Map(
+      (await withMediaUrls(galleryItems, "image")).map((item) => [
+        String(item._id),
+        item,
+      ])
+    );
+    const monumentById = new Map(
+      (await withMediaUrls(monuments)).map((monument) => [
+        String(monument._id),
+        monument,
+      ])
+    );
+
+    const describe = ({ hash, ...image }) => {
+      const monument = monumentById.get(String(image.monumentId));
+      const media =
+        image.kind == "gallery" ? galleryById.get(String(image._id)) : monument;
+      return {
+        ...image,
+        monumentTitle: monument?.title,
+        status: media?.status,
+        imageUrl: media?.imageUrl,
+        imageSet: media?.imageSet,
+      };
+    };
 
     return response
       .status(200)
-      .json({ mesage: "monument deleted success fully " });
+      .json(clusters.map((cluster) => cluster.map(describe)));
   } catch (error) {
-    console.log(error.message);
-    response.status(500).send({ message: error.message });
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
   }
 });
 
+// keeps one image of a duplicate group and deletes the gallery items
+// `remove`, see mergeDuplicates in services/duplicates.js
+router.put(
+  "/duplicates/merge",
+  requirePermission("monument:manage-any"),
+  async (request, response) => {
+    try {
+      const { keep, remove } = request.body;
+      if (
+        !["gallery", "cover"].includes(keep?.kind) ||
+        !mongoose.isValidObjectId(keep.id) ||
+        !Array.isArray(remove) ||
+        remove.length == 0 ||
+        !remove.every((id) => mongoose.isValidObjectId(id))
+      ) {
+        return response
+          .status(400)
+          .send({ message: "send all required fields: keep, remove" });
+      }
+
+      const kept =
+        keep.kind == "gallery"
+          ? await Gallery.findById(keep.id)
+          : await Monument.exists({ _id: keep.id });
+      if (!kept) {
+        return response.status(404).json({ message: "Image is not found" });
+      }
+
+      const removed = await mergeDuplicates(
+        keep.kind == "gallery" ? kept : null,
+        remove
+      );
+
+      return response
+        .status(200)
+        .json({ message: `${removed} duplicates removed`, removed });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+// list accounts with their role
+router.get(
+  "/users",
+  requirePermission("user:manage"),
+  async (request, response) => {
+    try {
+      const users = await User.find().select("name email phone type");
+
+      return response.status(200).json(users);
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+// change the role of an account
+router.put(
+  "/users/:id/role",
+  requirePermission("user:manage"),
+  async (request, response) => {
+    try {
+      if (!ROLES.includes(request.body.role)) {
+        return response
+          .status(400)
+          .send({ message: `role must be one of: ${ROLES.join(", ")}` });
+      }
+
+      const user = await User.findById(request.params.id);
+      if (!user) {
+        return response.status(404).json({ message: "User is not found" });
+      }
+
+      user.type = request.body.role;
+      await user.save();
+
+      return response
+        .status(200)
+        .json({ message: "Role updated successfully" });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+// move to trash
+router.delete(
+  "/:id",
+  requirePermission("monument:manage-any"),
+  async (request, response) => {
+    try {
+      const { id } = request.params;
+      const monument = await Monument.findOne({ _id: id, trash: null });
+      if (!monument) {
+        return response.status(404).json({ mesage: "monument not found " });
+      }
+
+      const galleryItems = await trashMonument(monument);
+
+      return response
+        .status(200)
+        .json({ mesage: "monument moved to trash", galleryItems });
+    } catch (error) {
+      console.log(error.message);
+      response.status(500).send({ message: error.message });
+    }
+  }
+);
+
 export default router;
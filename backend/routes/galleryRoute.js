@@ -1,129 +1,277 @@
 import express from "express";
 import dotenv from "dotenv";
 import multer from "multer";
-import Gallery from "../models/galleryModel.js";
+import path from "path";
+import fs from "fs/promises";
+import Gallery, { galleryOrder } from "../models/galleryModel.js";
+import Monument from "../models/monumentModel.js";
+import storage from "../services/storage/index.js";
 import {
-  S3Client,
-  PutObjectCommand,
-  GetObjectCommand,
-  DeleteObjectCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import sharp from "sharp";
+  mediaUrl,
+  imageSet,
+  hlsPath,
+  withMediaUrls,
+} from "../services/mediaUrls.js";
+import { deleteGalleryMedia } from "../services/galleryMedia.js";
+import { enqueue } from "../services/jobs.js";
+import { stageUpload, stageCover, queueCover } from "../services/mediaJobs.js";
+import { saveChanges } from "../services/revisions.js";
+import { toRights, RightsError } from "../services/mediaRights.js";
+import { takeUpload, tmpDir } from "../services/chunkedUploads.js";
+import {
+  UploadError,
+  maxUploadSize,
+  checkFile,
+  receiveFiles,
+} from "../services/uploadChecks.js";
+import { withDuplicates, forgetDuplicates } from "../services/duplicates.js";
+import {
+  requireMonumentOwner,
+  requireGalleryOwner,
+  requirePermission,
+  isOwnerOrManager,
+} from "../auth/permissions.js";
+import { hasPermission } from "../auth/roles.js";
+import {
+  transition,
+  canTransition,
+  ModerationError,
+} from "../services/moderation.js";
 
 dotenv.config();
 const router = express.Router();
 
-const awsAccessKey = process.env.AWS_ACCESS_KEY;
-const awsSecretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-const awsBucketName = process.env.AWS_BUCKET_NAME;
-const awsBucketRegion = process.env.AWS_BUCKET_REGION;
-
-const s3 = new S3Client({
-  credentials: {
-    accessKeyId: awsAccessKey,
-    secretAccessKey: awsSecretAccessKey,
-  },
-  region: awsBucketRegion,
+// Memory storage configuration, large files are better sent as resumable
+// uploads (see routes/uploadRoute.js)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadSize },
 });
 
-// Memory storage configuration
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// Most items accepted by POST /gallery/:monumentId/bulk at once, and most
+// multipart files. Those are written to disk, so a bulk upload never holds
+// more than one file in memory, and deleted once the request is done.
+const maxBulkItems = 100;
+const maxBulkFiles = 20;
+const bulkUpload = multer({
+  dest: path.join(tmpDir, "bulk"),
+  limits: { fileSize: maxUploadSize, files: maxBulkFiles },
+});
 
-// Compress and save function for both image and video
-const compressAndSaveFile = async (file) => {
-  try {
-    const randomNumber = Math.floor(Math.random() * 1000000) + 1000000;
-    let compressedFileName;
-    let compressedFile;
-
-    if (file.mimetype.startsWith("video")) {
-      // Handle video compression if needed
-      // For now, we're just returning the original video file without compression
-      compressedFileName = `${
-        file.originalname.split(".")[0]
-      }${randomNumber}.mp4`;
-      compressedFile = file.buffer;
-    } else {
-      compressedFileName = `${
-        file.originalname.split(".")[0]
-      }${randomNumber}.jpg`;
-      compressedFile = await sharp(file.buffer)
-        .jpeg({ quality: 30 })
-        .toBuffer();
-    }
+// fields a JSON bulk item may set, files only come as multipart
+const jsonItem = (item) => {
+  const { imgTitle, description, rights, uploadId } =
+    item && typeof item == "object" ? item : {};
+  return { imgTitle, description, rights, uploadId };
+};
 
-    return {
-      fileName: compressedFileName,
-      buffer: compressedFile,
-    };
-  } catch (error) {
-    throw new Error("Error compressing file");
+// New media sent as a multipart file, or as `uploadId` of a complete
+// resumable upload (see routes/uploadRoute.js). Either way it ends up
+// staged in storage at `key`.
+const stageMedia = async (file, uploadId, userId) => {
+  if (file) {
+    const checked = await checkFile(file);
+    return { ...checked, key: await stageUpload(checked) };
+  }
+  if (uploadId) {
+    return takeUpload(uploadId, userId);
   }
+  return null;
+};
+
+// The worker compresses or transcodes the staged upload, see
+// services/mediaJobs.js
+const queueMedia = (galleryItem, media) =>
+  enqueue("gallery:media", {
+    galleryId: galleryItem._id,
+    upload: media.key,
+    originalname: media.originalname,
+    mimetype: media.mimetype,
+  });
+
+// errors caused by what the client sent, reported with their own status
+const isClientError = (error) =>
+  error instanceof UploadError || error instanceof RightsError;
+
+// New media waiting for the worker, it is reviewed once it can be seen
+const isProcessing = (galleryItem) =>
+  Boolean(galleryItem.pendingUpload) || galleryItem.mediaStatus == "processing";
+
+// Items that aren't approved are only shown to reviewers, the owner of the
+// monument and whoever uploaded them
+const seesUnapproved = (account, monument) =>
+  hasPermission(account, "monument:review") ||
+  Boolean(monument && isOwnerOrManager(account, monument));
+
+const isVisible = (galleryItem, account, monument) =>
+  galleryItem.status == "approved" ||
+  galleryItem.user?.equals(account._id) ||
+  seesUnapproved(account, monument);
+
+// Saves a new gallery item showing the staged `media` once processed.
+// `fields.rights` has to be read with toRights first.
+const createGalleryItem = async (request, fields, media) => {
+  // new items go to the end of the gallery
+  const position = await Gallery.countDocuments({
+    monumentId: request.params.monumentId,
+  });
+  const galleryItem = new Gallery({
+    monumentId: request.params.monumentId,
+    imgTitle: fields.imgTitle,
+    description: fields.description,
+    rights: fields.rights,
+    image: media.key,
+    pendingUpload: media.key,
+    mediaStatus: "processing",
+    position,
+    // added to a trashed monument, it stays in the trash with it
+    trash: request.monument.trash,
+    user: request.user.id,
+    submittedAt: new Date(),
+    reviewLog: [{ to: "submitted", user: request.user.id }],
+  });
+  // media uploaded by a reviewer doesn't need a second pair of eyes
+  if (hasPermission(request.account, "monument:review")) {
+    transition(galleryItem, "approved", {
+      account: request.account,
+      comment: "Approved on upload",
+    });
+  }
+  await galleryItem.save();
+  await queueMedia(galleryItem, media);
+
+  return galleryItem;
 };
 
 // POST route to add a new gallery item
 router.post(
   "/:monumentId",
-  upload.single("image"),
+  requireMonumentOwner,
+  receiveFiles(upload.single("image"), maxUploadSize),
   async (request, response) => {
     try {
-      if (!request.body.imgTitle || !request.file) {
+      if (!request.body.imgTitle || (!request.file && !request.body.uploadId)) {
         return response.status(400).send({
-          message: "Send all required fields: imgTitle, image",
+          message: "Send all required fields: imgTitle, image or uploadId",
         });
       }
-      const { fileName, buffer } = await compressAndSaveFile(request.file);
+      const rights = toRights(request.body.rights);
+      const media = await stageMedia(
+        request.file,
+        request.body.uploadId,
+        request.user.id
+      );
+      const galleryItem = await createGalleryItem(
+        request,
+        { ...request.body, rights },
+        media
+      );
 
-      const params = {
-        Bucket: awsBucketName,
-        Key: fileName,
-        Body: buffer,
-        ContentType: request.file.mimetype,
-      };
-
-      const command = new PutObjectCommand(params);
-
-      await s3.send(command);
+      return response.status(201).json(galleryItem);
+    } catch (error) {
+      if (isClientError(error)) {
+        return response.status(error.status).send({ message: error.message });
+      }
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
 
-      const newGalleryItem = {
-        monumentId: request.params.monumentId,
-        imgTitle: request.body.imgTitle,
-        image: fileName,
-      };
+// Adds many items at once, each one is reported on its own. Send multipart
+// `images` with `imgTitle` and `description` fields in the same order, or
+// JSON `items` of { imgTitle, description, rights, uploadId }.
+router.post(
+  "/:monumentId/bulk",
+  requireMonumentOwner,
+  receiveFiles(bulkUpload.array("images"), maxUploadSize),
+  async (request, response) => {
+    try {
+      const titles = [].concat(request.body.imgTitle ?? []);
+      const descriptions = [].concat(request.body.description ?? []);
+      const items = request.files?.length
+        ? request.files.map((file, index) => ({
+            file,
+            imgTitle: titles[index],
+            description: descriptions[index],
+          }))
+        : Array.isArray(request.body.items)
+          ? request.body.items.map(jsonItem)
+          : null;
+
+      if (!Array.isArray(items) || items.length == 0) {
+        return response
+          .status(400)
+          .send({ message: "Send all required fields: images or items" });
+      }
+      if (items.length > maxBulkItems) {
+        return response.status(400).send({
+          message: `At most ${maxBulkItems} items can be added at once`,
+        });
+      }
 
-      const galleryItem = await Gallery.create(newGalleryItem);
+      const results = [];
+      for (const [index, item] of items.entries()) {
+        try {
+          if (!item.imgTitle || (!item.file && !item.uploadId)) {
+            throw new UploadError(
+              "Send all required fields: imgTitle, image or uploadId"
+            );
+          }
+          const rights = toRights(item.rights);
+          const media = await stageMedia(
+            item.file,
+            item.uploadId,
+            request.user.id
+          );
+          const galleryItem = await createGalleryItem(
+            request,
+            { ...item, rights },
+            media
+          );
+          results.push({ index, status: "created", item: galleryItem });
+        } catch (error) {
+          if (!isClientError(error)) console.error(error.message);
+          results.push({
+            index,
+            status: "failed",
+            message: isClientError(error)
+              ? error.message
+              : "Internal Server Error",
+          });
+        }
+      }
 
-      return response.status(201).json(galleryItem);
+      const created = results.filter((result) => result.status == "created");
+      return response.status(200).json({
+        message: `${created.length} of ${items.length} gallery items added`,
+        results,
+      });
     } catch (error) {
       console.error(error.message);
       return response.status(500).send({ message: "Internal Server Error" });
+    } finally {
+      for (const file of request.files || []) {
+        await fs.rm(file.path, { force: true });
+      }
     }
   }
 );
 
 router.get("/monument/:monumentId", async (request, response) => {
   try {
-    const galleryItems = await Gallery.find({
-      monumentId: request.params.monumentId,
-    });
-
-    const updatedGalleryItems = [];
-    for (const galleryItem of galleryItems) {
-      const getObjectParams = {
-        Bucket: awsBucketName,
-        Key: galleryItem.image,
-      };
-
-      const command = new GetObjectCommand(getObjectParams);
-      const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-      const updatedGalleryItem = {
-        ...galleryItem.toObject(),
-        imageUrl: url,
-      };
-      updatedGalleryItems.push(updatedGalleryItem);
+    const monument = await Monument.findById(request.params.monumentId).select(
+      "user"
+    );
+    const filter = { monumentId: request.params.monumentId, trash: null };
+    if (!seesUnapproved(request.account, monument)) {
+      filter.$or = [{ status: "approved" }, { user: request.account._id }];
     }
+    const galleryItems = await Gallery.find(filter).sort(galleryOrder);
+
+    const updatedGalleryItems = await withDuplicates(
+      await withMediaUrls(galleryItems, "image")
+    );
     return response.status(200).json(updatedGalleryItems);
   } catch (error) {
     console.error(error.message);
@@ -131,25 +279,62 @@ router.get("/monument/:monumentId", async (request, response) => {
   }
 });
 
+// set the order of a monument's gallery, `ids` lists every item in the new
+// order
+router.put(
+  "/monument/:monumentId/order",
+  requireMonumentOwner,
+  async (request, response) => {
+    try {
+      const ids = request.body.ids;
+      const galleryItems = await Gallery.find({
+        monumentId: request.params.monumentId,
+        trash: null,
+      }).select("_id");
+
+      const known = galleryItems.map((galleryItem) => String(galleryItem._id));
+      if (
+        !Array.isArray(ids) ||
+        ids.length != known.length ||
+        new Set(ids).size != ids.length ||
+        !ids.every((id) => known.includes(String(id)))
+      ) {
+        return response.status(400).send({
+          message: "ids must list every item of the gallery once",
+        });
+      }
+
+      await Gallery.bulkWrite(
+        ids.map((id, position) => ({
+          updateOne: { filter: { _id: id }, update: { position } },
+        }))
+      );
+
+      return response.status(200).json({ message: "Gallery order saved" });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
 // GET route to retrieve a specific gallery item by ID
 router.get("/:id", async (request, response) => {
   try {
     const galleryItem = await Gallery.findById(request.params.id);
-    if (!galleryItem) {
+    const monument =
+      galleryItem &&
+      (await Monument.findById(galleryItem.monumentId).select("user"));
+    if (!galleryItem || !isVisible(galleryItem, request.account, monument)) {
       return response.status(404).send({ message: "Gallery item not found" });
     }
 
-    const getObjectParams = {
-      Bucket: awsBucketName,
-      Key: galleryItem.image,
-    };
-
-    const command = new GetObjectCommand(getObjectParams);
-    const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-
     const updatedGalleryItem = {
       ...galleryItem.toObject(),
-      imageUrl: url,
+      imageUrl: await mediaUrl(galleryItem.image),
+      imageSet: await imageSet(galleryItem.image, galleryItem.variants),
+      posterUrl: await mediaUrl(galleryItem.poster),
+      hlsPath: galleryItem.hls && hlsPath(galleryItem),
     };
 
     return response.status(200).json(updatedGalleryItem);
@@ -159,68 +344,199 @@ router.get("/:id", async (request, response) => {
   }
 });
 
-router.put("/:id", upload.single("image"), async (request, response) => {
-  try {
-    let galleryItem = await Gallery.findById(request.params.id);
-
-    if (!galleryItem) {
-      return response.status(404).json({ message: "Gallery item not found" });
-    }
-
-    let oldImageKey = galleryItem.image;
-
-    if (request.file) {
-      const { fileName, buffer } = await compressAndSaveFile(request.file);
-
-      const params = {
-        Bucket: awsBucketName,
-        Key: fileName,
-        Body: buffer,
-        ContentType: request.file.mimetype,
-      };
+router.put(
+  "/:id",
+  requireGalleryOwner,
+  receiveFiles(upload.single("image"), maxUploadSize),
+  async (request, response) => {
+    try {
+      const { galleryItem } = request;
+      const rights = toRights(request.body.rights);
+
+      // new media has to be reviewed again
+      const replacing = Boolean(request.file || request.body.uploadId);
+      if (replacing && galleryItem.status != "submitted") {
+        transition(galleryItem, "submitted", {
+          account: request.account,
+          isOwner: true,
+          comment: "Media replaced",
+        });
+      }
 
-      const command = new PutObjectCommand(params);
+      // the current media stays until the worker has processed the new one
+      const media = await stageMedia(
+        request.file,
+        request.body.uploadId,
+        request.user.id
+      );
+      if (media) {
+        galleryItem.pendingUpload = media.key;
+        galleryItem.mediaStatus = "processing";
+        galleryItem.mediaError = undefined;
+      }
 
-      await s3.send(command);
+      if (request.body.imgTitle) {
+        galleryItem.imgTitle = request.body.imgTitle;
+      }
+      if (request.body.description !== undefined) {
+        galleryItem.description = request.body.description;
+      }
+      if (request.body.rights !== undefined) {
+        galleryItem.rights = rights;
+      }
 
-      galleryItem.image = fileName;
+      await galleryItem.save();
+      if (media) await queueMedia(galleryItem, media);
 
-      const deleteOldParams = {
-        Bucket: awsBucketName,
-        Key: oldImageKey,
-      };
+      return response.status(200).json(galleryItem);
+    } catch (error) {
+      if (isClientError(error) || error instanceof ModerationError) {
+        return response.status(error.status).send({ message: error.message });
+      }
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
 
-      const deleteOldCommand = new DeleteObjectCommand(deleteOldParams);
-      await s3.send(deleteOldCommand);
+// make a gallery image the cover of its monument. The image is copied, so
+// the cover doesn't change with the gallery item. Like any edit of a
+// verified monument it waits for review as a revision.
+router.put("/:id/cover", requireGalleryOwner, async (request, response) => {
+  try {
+    const { galleryItem } = request;
+    if (
+      !galleryItem.variants ||
+      galleryItem.pendingUpload == galleryItem.image
+    ) {
+      return response
+        .status(400)
+        .send({ message: "Only processed images can be the cover" });
     }
 
-    if (request.body.imgTitle) {
-      galleryItem.imgTitle = request.body.imgTitle;
+    const monument = await Monument.findById(galleryItem.monumentId);
+    if (!monument) {
+      return response.status(404).json({ message: "Monument is not found" });
     }
 
-    await galleryItem.save();
+    const cover = await stageCover({
+      originalname: path.basename(galleryItem.image),
+      mimetype: "image/jpeg",
+      buffer: await storage.getObject(galleryItem.image),
+    });
+    // only the cover changes, the worker adds its variants. The credit of
+    // the photo moves along with it.
+    const changes = {
+      cover_image: cover.upload,
+      cover_rights: galleryItem.toObject().rights,
+      mediaStatus: "processing",
+    };
 
-    return response.status(200).json(galleryItem);
+    const revision = await saveChanges(monument, changes, request.account);
+    await queueCover(cover);
+
+    if (revision) {
+      return response.status(202).json({
+        message: "New cover submitted for review",
+        revision,
+      });
+    }
+    return response.status(200).json({ message: "Cover updated" });
   } catch (error) {
+    if (isClientError(error) || error instanceof ModerationError) {
+      return response.status(error.status).send({ message: error.message });
+    }
     console.error(error.message);
     return response.status(500).send({ message: "Internal Server Error" });
   }
 });
 
-router.delete("/:id", async (request, response) => {
-  try {
-    const galleryItem = await Gallery.findByIdAndDelete(request.params.id);
-    if (!galleryItem) {
-      return response.status(404).send({ message: "Gallery item not found" });
+// approve every submitted item in `ids` at once, items whose media is
+// still processing are skipped
+router.put(
+  "/bulk/approve",
+  requirePermission("monument:review"),
+  async (request, response) => {
+    try {
+      const ids = request.body.ids;
+      if (!Array.isArray(ids) || ids.length == 0) {
+        return response
+          .status(400)
+          .send({ message: "Send all required fields: ids" });
+      }
+
+      const galleryItems = await Gallery.find({ _id: { $in: ids } });
+
+      const approved = [];
+      const skipped = [];
+      for (const galleryItem of galleryItems) {
+        if (
+          !canTransition(galleryItem.status, "approved") ||
+          isProcessing(galleryItem)
+        ) {
+          skipped.push(galleryItem._id);
+          continue;
+        }
+        transition(galleryItem, "approved", {
+          account: request.account,
+          comment: request.body.comment,
+        });
+        await galleryItem.save();
+        approved.push(galleryItem._id);
+      }
+
+      return response.status(200).json({
+        message: `${approved.length} gallery items approved`,
+        approved,
+        skipped,
+      });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
     }
+  }
+);
 
-    const deleteParams = {
-      Bucket: awsBucketName,
-      Key: galleryItem.image,
-    };
+// approve, reject or request changes on a single item
+router.put(
+  "/:id/review",
+  requirePermission("monument:review"),
+  async (request, response) => {
+    try {
+      const galleryItem = await Gallery.findById(request.params.id);
+      if (!galleryItem) {
+        return response.status(404).send({ message: "Gallery item not found" });
+      }
+      if (request.body.status == "approved" && isProcessing(galleryItem)) {
+        return response
+          .status(409)
+          .send({ message: "Media is still processing, review it when done" });
+      }
+
+      transition(galleryItem, request.body.status, {
+        account: request.account,
+        comment: request.body.comment,
+      });
+      await galleryItem.save();
+
+      return response.status(200).json(galleryItem);
+    } catch (error) {
+      if (error instanceof ModerationError) {
+        return response.status(error.status).send({ message: error.message });
+      }
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+router.delete("/:id", requireGalleryOwner, async (request, response) => {
+  try {
+    const { galleryItem } = request;
+    await Gallery.deleteOne({ _id: galleryItem._id });
+    await forgetDuplicates("gallery", [galleryItem._id]);
 
-    const command = new DeleteObjectCommand(deleteParams);
-    await s3.send(command);
+    await deleteGalleryMedia(galleryItem);
 
     return response
       .status(200)
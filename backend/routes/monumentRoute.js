@@ -1,64 +1,59 @@
 import express from "express";
 import Monument from "../models/monumentModel.js";
-import User from "../models/userModel.js";
+import Revision from "../models/revisionModel.js";
 import multer from "multer";
 import fs from "fs";
 import path from "path";
-import sharp from "sharp";
-import dotenv from "dotenv";
+import { mediaUrl, imageSet, withMediaUrls } from "../services/mediaUrls.js";
+import { stageCover, queueCover } from "../services/mediaJobs.js";
+import { pickChanges, saveChanges } from "../services/revisions.js";
+import { recordVersion, diffSnapshots } from "../services/versions.js";
 import {
-  S3Client,
-  PutObjectCommand,
-  GetObjectCommand,
-  DeleteObjectCommand,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-
-dotenv.config();
+  trashMonument,
+  restoreMonument,
+  purgeMonument,
+  purgeDate,
+  withGalleryCounts,
+} from "../services/trash.js";
+import MonumentVersion from "../models/monumentVersionModel.js";
+import {
+  requireMonumentOwner,
+  requireMonumentReader,
+  isOwnerOrManager,
+} from "../auth/permissions.js";
+import { transition, ModerationError } from "../services/moderation.js";
+import { hasPermission, roleOf } from "../auth/roles.js";
+import { parseListQuery, paginate } from "../services/listQuery.js";
+import { toPoint, GeoError } from "../services/geo.js";
+import { toRights, RightsError } from "../services/mediaRights.js";
+import { withDuplicates } from "../services/duplicates.js";
+import {
+  UploadError,
+  maxImageSize,
+  checkFile,
+  receiveFiles,
+} from "../services/uploadChecks.js";
 
 const router = express.Router();
 
-const awsAccessKey = process.env.AWS_ACCESS_KEY;
-const awsSecretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-const awsBucketName = process.env.AWS_BUCKET_NAME;
-const awsBucketRegion = process.env.AWS_BUCKET_REGION;
-
-const s3 = new S3Client({
-  credentials: {
-    accessKeyId: awsAccessKey,
-    secretAccessKey: awsSecretAccessKey,
-  },
-  region: awsBucketRegion,
+// Use memory storage to process image with Sharp
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImageSize, files: 1 },
 });
+const coverUpload = receiveFiles(upload.single("cover_image"), maxImageSize);
 
-const storage = multer.memoryStorage(); // Use memory storage to process image with Sharp
-const upload = multer({ storage: storage });
-
-const compressAndSaveImage = async (file) => {
-  try {
-    const randomNumber = Math.floor(Math.random() * 9000) + 1000;
-    const compressedFileName = `${
-      file.originalname.split(".")[0]
-    }${randomNumber}.jpg`;
-
-    const compressedImage = await sharp(file.buffer)
-      .jpeg({ quality: 30 }) // Adjust quality as per your requirement
-      .toBuffer();
-
-    return {
-      fileName: compressedFileName,
-      buffer: compressedImage,
-    };
-  } catch (error) {
-    throw new Error("Error compressing image");
-  }
-};
+// errors caused by what the client sent, reported with their own status
+const isClientError = (error) =>
+  error instanceof GeoError ||
+  error instanceof RightsError ||
+  error instanceof UploadError;
 
 const convertImageToBase64 = (buffer) => {
   return `data:image/jpeg;base64,${buffer.toString("base64")}`;
 };
 
-router.post("/", upload.single("cover_image"), async (request, response) => {
+router.post("/", coverUpload, async (request, response) => {
   try {
     if (
       !request.body.title ||
@@ -73,17 +68,10 @@ router.post("/", upload.single("cover_image"), async (request, response) => {
       });
     }
 
-    const { fileName, buffer } = await compressAndSaveImage(request.file);
-
-    const params = {
-      Bucket: awsBucketName,
-      Key: fileName,
-      Body: buffer,
-      ContentType: request.file.mimetype,
-    };
-    const command = new PutObjectCommand(params);
+    const location = toPoint(request.body.location);
+    const cover_rights = toRights(request.body.cover_rights);
 
-    await s3.send(command);
+    const cover = await stageCover(await checkFile(request.file, ["image"]));
 
     const newmonument = {
       title: request.body.title,
@@ -92,19 +80,28 @@ router.post("/", upload.single("cover_image"), async (request, response) => {
       archi_imps: request.body.archi_imps,
       past_condition: request.body.past_condition,
       present_condition: request.body.present_condition,
-      location: request.body.location,
+      location,
       nation: request.body.nation,
       state: request.body.state,
       place: request.body.place,
-      cover_image: fileName,
+      cover_image: cover.upload,
+      cover_rights,
+      mediaStatus: "processing",
       user: request.user.id,
-      status: 0,
+      status: request.body.draft == "true" ? "draft" : "submitted",
     };
+    if (newmonument.status == "submitted") newmonument.submittedAt = new Date();
+    newmonument.reviewLog = [{ to: newmonument.status, user: request.user.id }];
 
     const monument = await Monument.create(newmonument);
+    await recordVersion(monument, request.user.id, "create");
+    await queueCover(cover);
 
     return response.status(201).send(monument);
   } catch (error) {
+    if (isClientError(error)) {
+      return response.status(error.status).send({ message: error.message });
+    }
     console.log(error.message);
     response.status(500).send({ message: error.message });
   }
@@ -112,62 +109,73 @@ router.post("/", upload.single("cover_image"), async (request, response) => {
 
 router.get("/", async (request, response) => {
   try {
-    let monuments = undefined;
-
-    const users = await User.findById(request.user.id);
-    if (users.type == "user")
-      monuments = await Monument.find({ user: request.user.id });
-    else if (users.type == "admin") monuments = await Monument.find();
-    else throw `Account Type Error. Got type : ${users.type}`;
-
-    const updatedMonuments = [];
-    for (const monument of monuments) {
-      const getObjectParams = {
-        Bucket: awsBucketName,
-        Key: monument.cover_image,
-      };
-
-      const command = new GetObjectCommand(getObjectParams);
-      const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-
-      const updatedMonument = {
-        ...monument.toObject(),
-        imageUrl: url,
-        userType: users.type,
-      };
-      updatedMonuments.push(updatedMonument);
-    }
+    const userType = roleOf(request.account);
+
+    const { page, limit, sort, filter } = parseListQuery(request.query);
+    filter.trash = null;
+    if (!hasPermission(request.account, "monument:list-all"))
+      filter.user = request.user.id;
+    const result = await paginate(Monument, filter, { page, limit, sort });
+
+    const updatedMonuments = (
+      await withGalleryCounts(
+        await withDuplicates(await withMediaUrls(result.items), "cover")
+      )
+    ).map((monument) => ({ ...monument, userType }));
 
     const data = {
       monument: updatedMonuments,
-      userType: users.type,
+      userType,
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      pages: result.pages,
     };
     return response.status(200).json(data);
   } catch (error) {
     response.status(500).send({ message: error.message });
   }
 });
+// trashed monuments with the date they will be purged, only those the
+// caller may restore or purge
+router.get("/trash", async (request, response) => {
+  try {
+    const filter = { trash: { $ne: null } };
+    if (!hasPermission(request.account, "monument:manage-any"))
+      filter.user = request.user.id;
+
+    const monuments = await Monument.find(filter).sort({ trash: -1 });
+
+    const updatedMonuments = (
+      await withGalleryCounts(await withMediaUrls(monuments))
+    ).map((monument) => ({ ...monument, purgeAt: purgeDate(monument.trash) }));
+
+    return response.status(200).json(updatedMonuments);
+  } catch (error) {
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
+
 // route get one
 router.get("/:id", async (request, response) => {
   try {
     const { id } = request.params;
 
-    const monument = await Monument.findById(id);
+    const monument = await Monument.findById(id).select("+suggestedLocation");
     if (!monument) {
       return response.status(404).send({ message: "Monument item not found" });
     }
 
-    const getObjectParams = {
-      Bucket: awsBucketName,
-      Key: monument.cover_image,
-    };
-    const command = new GetObjectCommand(getObjectParams);
-    const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-
     const updatedMonumentItem = {
       ...monument.toObject(),
-      imageUrl: url,
+      imageUrl: await mediaUrl(monument.cover_image),
+      imageSet: await imageSet(monument.cover_image, monument.cover_variants),
     };
+    // only the owner is offered the position their photos were taken at
+    if (monument.location || !isOwnerOrManager(request.account, monument)) {
+      delete updatedMonumentItem.suggestedLocation;
+    }
 
     return response.status(200).json(updatedMonumentItem);
   } catch (error) {
@@ -178,102 +186,254 @@ router.get("/:id", async (request, response) => {
 
 //update
 
-router.put("/:id", upload.single("cover_image"), async (request, response) => {
-  try {
-    if (
-      !request.body.title ||
-      !request.body.description ||
-      !request.body.nation ||
-      !request.body.state ||
-      !request.body.place
-    ) {
-      return response.status(400).send({
-        message:
-          "send all required fields: title, shortdescription, description, nation, state, place",
-      });
+router.put(
+  "/:id",
+  requireMonumentOwner,
+  coverUpload,
+  async (request, response) => {
+    try {
+      if (
+        !request.body.title ||
+        !request.body.description ||
+        !request.body.nation ||
+        !request.body.state ||
+        !request.body.place
+      ) {
+        return response.status(400).send({
+          message:
+            "send all required fields: title, shortdescription, description, nation, state, place",
+        });
+      }
+
+      const { monument } = request;
+
+      const changes = pickChanges(request.body);
+      changes.location = toPoint(changes.location);
+      changes.cover_rights = toRights(changes.cover_rights);
+
+      let cover;
+      if (request.file) {
+        cover = await stageCover(await checkFile(request.file, ["image"]));
+
+        changes.cover_image = cover.upload;
+        changes.mediaStatus = "processing";
+      }
+
+      const revision = await saveChanges(monument, changes, request.account);
+      if (cover) await queueCover(cover);
+
+      if (revision) {
+        return response.status(202).json({
+          message: "Changes submitted for review",
+          revision,
+        });
+      }
+
+      return response
+        .status(200)
+        .json({ message: "Monument updated successfully" });
+    } catch (error) {
+      if (isClientError(error)) {
+        return response.status(error.status).send({ message: error.message });
+      }
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
     }
+  }
+);
 
-    const { id } = request.params;
-    const monument = await Monument.findById(id);
+// revision history of a monument, contributors only see their own revisions
+router.get("/:id/revisions", async (request, response) => {
+  try {
+    const filter = { monumentId: request.params.id };
+    if (!hasPermission(request.account, "monument:list-all"))
+      filter.user = request.user.id;
 
-    if (!monument) {
-      return response.status(404).json({ message: "Monument is not found" });
-    }
+    const revisions = await Revision.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("user", "name")
+      .populate("reviewedBy", "name");
+
+    return response.status(200).json(revisions);
+  } catch (error) {
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
 
-    let oldCoverImage = monument.cover_image;
+// version history of a monument, newest first, for its owner and reviewers
+router.get(
+  "/:id/versions",
+  requireMonumentReader,
+  async (request, response) => {
+    try {
+      const versions = await MonumentVersion.find({
+        monumentId: request.params.id,
+      })
+        .select("-snapshot")
+        .sort({ version: -1 })
+        .populate("user", "name");
+
+      return response.status(200).json(versions);
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+// field level diff between two versions
+router.get(
+  "/:id/versions/diff",
+  requireMonumentReader,
+  async (request, response) => {
+    try {
+      const from = Number(request.query.from);
+      const to = Number(request.query.to);
+      if (!from || !to) {
+        return response
+          .status(400)
+          .send({ message: "send all required fields: from, to" });
+      }
+
+      const versions = await MonumentVersion.find({
+        monumentId: request.params.id,
+        version: { $in: [from, to] },
+      });
+      const fromVersion = versions.find((version) => version.version == from);
+      const toVersion = versions.find((version) => version.version == to);
+      if (!fromVersion || !toVersion) {
+        return response.status(404).json({ message: "Version is not found" });
+      }
+
+      const changes = diffSnapshots(fromVersion.snapshot, toVersion.snapshot);
+      for (const change of changes) {
+        if (change.field != "cover_image") continue;
+        [change.fromUrl, change.toUrl] = await Promise.all([
+          mediaUrl(change.from),
+          mediaUrl(change.to),
+        ]);
+      }
+
+      return response.status(200).json({ from, to, changes });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
+
+// route get one version
+router.get(
+  "/:id/versions/:version",
+  requireMonumentReader,
+  async (request, response) => {
+    try {
+      const version = await MonumentVersion.findOne({
+        monumentId: request.params.id,
+        version: Number(request.params.version),
+      }).populate("user", "name");
+      if (!version) {
+        return response.status(404).json({ message: "Version is not found" });
+      }
+
+      return response.status(200).json({
+        ...version.toObject(),
+        imageUrl: await mediaUrl(version.snapshot.cover_image),
+        imageSet: await imageSet(
+          version.snapshot.cover_image,
+          version.snapshot.cover_variants
+        ),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return response.status(500).send({ message: "Internal Server Error" });
+    }
+  }
+);
 
-    if (request.file) {
-      const { fileName, buffer } = await compressAndSaveImage(request.file);
+// owner moves a monument between draft and submitted
+router.put("/:id/status", requireMonumentOwner, async (request, response) => {
+  try {
+    const { monument } = request;
 
-      const params = {
-        Bucket: awsBucketName,
-        Key: fileName,
-        Body: buffer,
-        ContentType: request.file.mimetype,
-      };
+    transition(monument, request.body.status, {
+      account: request.account,
+      isOwner: true,
+      comment: request.body.comment,
+    });
+    await monument.save();
 
-      const command = new PutObjectCommand(params);
+    return response
+      .status(200)
+      .json({ message: `Monument is ${monument.status}`, monument });
+  } catch (error) {
+    if (error instanceof ModerationError) {
+      return response.status(error.status).send({ message: error.message });
+    }
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
 
-      await s3.send(command);
+//delete, the monument and its gallery stay in the trash until purged
+router.delete("/:id", requireMonumentOwner, async (request, response) => {
+  try {
+    const { monument } = request;
+    if (monument.trash) {
+      return response.status(404).json({ mesage: "monument not found " });
+    }
 
-      monument.cover_image = fileName;
+    const galleryItems = await trashMonument(monument);
 
-      const deleteOldParams = {
-        Bucket: awsBucketName,
-        Key: oldCoverImage,
-      };
+    return response
+      .status(200)
+      .json({ mesage: "monument moved to trash", galleryItems });
+  } catch (error) {
+    console.log(error.message);
+    response.status(500).send({ message: error.message });
+  }
+});
 
-      const deleteOldCommand = new DeleteObjectCommand(deleteOldParams);
-      await s3.send(deleteOldCommand);
+// restore from trash
+router.put("/:id/restore", requireMonumentOwner, async (request, response) => {
+  try {
+    const { monument } = request;
+    if (!monument.trash) {
+      return response
+        .status(404)
+        .json({ message: "Monument is not found in trash" });
     }
 
-    monument.title = request.body.title;
-    monument.shortdescription = request.body.shortdescription;
-    monument.description = request.body.description;
-    monument.nation = request.body.nation;
-    monument.state = request.body.state;
-    monument.place = request.body.place;
-    monument.location = request.body.location;
-    monument.hst_chronology = request.body.hst_chronology;
-    monument.ipms_place = request.body.ipms_place;
-    monument.past_condition = request.body.past_condition;
-    monument.present_condition = request.body.present_condition;
-    monument.archi_imps = request.body.archi_imps;
-    monument.status = 0;
-
-    await monument.save();
+    const galleryItems = await restoreMonument(monument);
 
     return response
       .status(200)
-      .json({ message: "Monument updated successfully" });
+      .json({ message: "Monument restored successfully", galleryItems });
   } catch (error) {
     console.error(error.message);
     return response.status(500).send({ message: "Internal Server Error" });
   }
 });
 
-//delete
-router.delete("/:id", async (request, response) => {
+// permanently delete a trashed monument and its media
+router.delete("/:id/purge", requireMonumentOwner, async (request, response) => {
   try {
-    const { id } = request.params;
-    const monument = await Monument.findByIdAndDelete(id);
-    if (!monument) {
-      return response.status(404).json({ mesage: "monument not found " });
+    const { monument } = request;
+    if (!monument.trash) {
+      return response
+        .status(404)
+        .json({ message: "Monument is not found in trash" });
     }
-    const deleteParams = {
-      Bucket: awsBucketName,
-      Key: monument.cover_image,
-    };
 
-    const command = new DeleteObjectCommand(deleteParams);
-    await s3.send(command);
+    const galleryItems = await purgeMonument(monument);
 
     return response
       .status(200)
-      .json({ mesage: "monument deleted success fully " });
+      .json({ message: "Monument permanently deleted", galleryItems });
   } catch (error) {
-    console.log(error.message);
-    response.status(500).send({ message: error.message });
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
   }
 });
 
@@ -1,79 +1,164 @@
 import express from "express";
+import mongoose from "mongoose";
 import Monument from "../models/monumentModel.js";
-import Gallery from "../models/galleryModel.js";
+import Gallery, { galleryOrder } from "../models/galleryModel.js";
 import User from "../models/userModel.js";
-import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import dotenv from "dotenv";
-
-dotenv.config();
-
-const awsAccessKey = process.env.AWS_ACCESS_KEY;
-const awsSecretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-const awsBucketName = process.env.AWS_BUCKET_NAME;
-const awsBucketRegion = process.env.AWS_BUCKET_REGION;
-
-const s3 = new S3Client({
-  credentials: {
-    accessKeyId: awsAccessKey,
-    secretAccessKey: awsSecretAccessKey,
-  },
-  region: awsBucketRegion,
-});
+import { mediaUrl, imageSet, withMediaUrls } from "../services/mediaUrls.js";
+import { parseListQuery, paginate } from "../services/listQuery.js";
+import { searchMonuments } from "../services/search.js";
+import { masterPlaylist } from "../services/videos.js";
+import { uploadPrefix } from "../services/mediaJobs.js";
+import {
+  GeoError,
+  queryPoint,
+  queryBbox,
+  queryLimit,
+  queryRadius,
+  monumentsNear,
+  monumentsWithin,
+} from "../services/geo.js";
 
 const router = express.Router();
 
-// route get all
+// route get all, one page at a time
 router.get("/", async (request, response) => {
   try {
-    const monuments = await Monument.find({ status: 1 });
-    const updatedMonuments = [];
-    for (const monument of monuments) {
-      const getObjectParams = {
-        Bucket: awsBucketName,
-        Key: monument.cover_image,
-      };
-
-      const command = new GetObjectCommand(getObjectParams);
-      const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-
-      const updatedMonument = {
-        ...monument.toObject(),
-        imageUrl: url,
-      };
-      updatedMonuments.push(updatedMonument);
+    const { page, limit, sort, filter } = parseListQuery(request.query);
+    const result = await paginate(
+      Monument,
+      { ...filter, status: "approved", trash: null },
+      { page, limit, sort }
+    );
+
+    const updatedMonuments = await withMediaUrls(result.items);
+
+    return response.status(200).json({ ...result, items: updatedMonuments });
+  } catch (error) {
+    console.log(error.message);
+    response.status(500).send({ message: error.message });
+  }
+});
+
+// full-text search over every text field, most relevant first, with
+// highlighted snippets. Supports "quoted phrases" and -excluded words.
+router.get("/search", async (request, response) => {
+  try {
+    const q = (request.query.q || "").trim();
+    if (!q) {
+      return response
+        .status(400)
+        .send({ message: "send all required fields: q" });
     }
 
-    return response.status(200).json(updatedMonuments);
+    const { page, limit, filter } = parseListQuery({
+      ...request.query,
+      q: undefined,
+    });
+    const result = await searchMonuments(
+      q,
+      { ...filter, status: "approved", trash: null },
+      { page, limit }
+    );
+
+    const updatedMonuments = await withMediaUrls(result.items);
+
+    return response.status(200).json({ ...result, items: updatedMonuments });
   } catch (error) {
     console.log(error.message);
     response.status(500).send({ message: error.message });
   }
 });
 
+// nations and states that have published monuments, for the filter menus
+router.get("/filters", async (request, response) => {
+  try {
+    const published = { status: "approved", trash: null };
+    const [nations, states] = await Promise.all([
+      Monument.distinct("nation", published),
+      Monument.distinct("state", published),
+    ]);
+
+    return response.status(200).json({ nations, states });
+  } catch (error) {
+    console.log(error.message);
+    response.status(500).send({ message: error.message });
+  }
+});
+
+const sendGeoError = (error, response) => {
+  if (error instanceof GeoError) {
+    return response.status(error.status).send({ message: error.message });
+  }
+  console.log(error.message);
+  response.status(500).send({ message: error.message });
+};
+
+// published monuments within `radius` meters of lat,lng, closest first
+router.get("/geo/radius", async (request, response) => {
+  try {
+    const monuments = await monumentsNear(
+      queryPoint(request.query),
+      { status: "approved", trash: null },
+      {
+        maxDistance: queryRadius(request.query),
+        limit: queryLimit(request.query, 50),
+      }
+    );
+
+    return response.status(200).json(await withMediaUrls(monuments));
+  } catch (error) {
+    sendGeoError(error, response);
+  }
+});
+
+// the `limit` published monuments closest to lat,lng, optionally leaving
+// out the monument with id `exclude`
+router.get("/geo/nearest", async (request, response) => {
+  try {
+    const filter = { status: "approved", trash: null };
+    if (mongoose.isValidObjectId(request.query.exclude)) {
+      filter._id = { $ne: new mongoose.Types.ObjectId(request.query.exclude) };
+    }
+
+    const monuments = await monumentsNear(queryPoint(request.query), filter, {
+      limit: queryLimit(request.query, 5),
+    });
+
+    return response.status(200).json(await withMediaUrls(monuments));
+  } catch (error) {
+    sendGeoError(error, response);
+  }
+});
+
+// published monuments inside bbox=minLng,minLat,maxLng,maxLat, optionally
+// filtered by nation and state. minLng above maxLng is a box across the
+// antimeridian.
+router.get("/geo/bbox", async (request, response) => {
+  try {
+    const { filter } = parseListQuery({
+      nation: request.query.nation,
+      state: request.query.state,
+    });
+    const monuments = await monumentsWithin(
+      queryBbox(request.query),
+      { ...filter, status: "approved", trash: null },
+      { limit: queryLimit(request.query, 200, 500) }
+    );
+
+    return response.status(200).json(await withMediaUrls(monuments));
+  } catch (error) {
+    sendGeoError(error, response);
+  }
+});
+
 // route get latest 3 only only
 router.get("/latest3/", async (request, response) => {
   try {
-    const monuments = await Monument.find({ status: 1 })
+    const monuments = await Monument.find({ status: "approved", trash: null })
       .sort({ createdAt: -1 })
       .limit(3);
 
-    const updatedMonuments = [];
-    for (const monument of monuments) {
-      const getObjectParams = {
-        Bucket: awsBucketName,
-        Key: monument.cover_image,
-      };
-
-      const command = new GetObjectCommand(getObjectParams);
-      const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-
-      const updatedMonument = {
-        ...monument.toObject(),
-        imageUrl: url,
-      };
-      updatedMonuments.push(updatedMonument);
-    }
+    const updatedMonuments = await withMediaUrls(monuments);
 
     return response.status(200).json(updatedMonuments);
   } catch (error) {
@@ -86,19 +171,21 @@ router.get("/:id", async (request, response) => {
   try {
     const { id } = request.params;
 
-    // Fetch monument data
-    const monument = await Monument.findById(id);
-
-    const getObjectParams = {
-      Bucket: awsBucketName,
-      Key: monument.cover_image,
-    };
-    const command = new GetObjectCommand(getObjectParams);
-    const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
+    // only published monuments, reviewers read the others from
+    // GET /admin/monuments/:id
+    const monument = await Monument.findOne({
+      _id: id,
+      status: "approved",
+      trash: null,
+    }).select("-reviewLog");
+    if (!monument) {
+      return response.status(404).send({ message: "Monument not found" });
+    }
 
     const updatedMonumentItem = {
       ...monument.toObject(),
-      imageUrl: url,
+      imageUrl: await mediaUrl(monument.cover_image),
+      imageSet: await imageSet(monument.cover_image, monument.cover_variants),
     };
 
     const user = await User.findById(monument.user); // Assuming userId is the field linking to the User table
@@ -118,25 +205,25 @@ router.get("/:id", async (request, response) => {
 
 router.get("/monument/:monumentId", async (request, response) => {
   try {
-    const galleryItems = await Gallery.find({
-      monumentId: request.params.monumentId,
+    // only approved media of a published monument is public
+    const monument = await Monument.findOne({
+      _id: request.params.monumentId,
+      status: "approved",
+      trash: null,
     });
-
-    const updatedGalleryItems = [];
-    for (const galleryItem of galleryItems) {
-      const getObjectParams = {
-        Bucket: awsBucketName,
-        Key: galleryItem.image,
-      };
-
-      const command = new GetObjectCommand(getObjectParams);
-      const url = await getSignedUrl(s3, command, { expiresIn: 3600 });
-      const updatedGalleryItem = {
-        ...galleryItem.toObject(),
-        imageUrl: url,
-      };
-      updatedGalleryItems.push(updatedGalleryItem);
+    if (!monument) {
+      return response.status(404).send({ message: "Monument not found" });
     }
+
+    const galleryItems = await Gallery.find({
+      monumentId: monument._id,
+      status: "approved",
+      trash: null,
+      // new uploads the worker hasn't processed yet
+      image: { $not: new RegExp(`^${uploadPrefix}`) },
+    }).sort(galleryOrder);
+
+    const updatedGalleryItems = await withMediaUrls(galleryItems, "image");
     return response.status(200).json(updatedGalleryItems);
   } catch (error) {
     console.error(error.message);
@@ -144,6 +231,58 @@ router.get("/monument/:monumentId", async (request, response) => {
   }
 });
 
-//
+// HLS playlists of a published gallery video. Segment URIs are replaced by
+// their media URLs, so they work when the storage needs signed URLs.
+router.get("/gallery/:id/hls/:playlist", async (request, response) => {
+  try {
+    const galleryItem = await Gallery.findOne({
+      _id: request.params.id,
+      status: "approved",
+      trash: null,
+      hls: { $exists: true },
+    }).select("+hlsPlaylists");
+    const monument =
+      galleryItem &&
+      (await Monument.exists({
+        _id: galleryItem.monumentId,
+        status: "approved",
+        trash: null,
+      }));
+    if (!monument) {
+      return response.status(404).send({ message: "Video not found" });
+    }
+
+    const { playlist } = request.params;
+    let text;
+    if (playlist == "master.m3u8") {
+      text = masterPlaylist(galleryItem.hls);
+    } else {
+      const source = galleryItem.hlsPlaylists?.[playlist];
+      if (!source) {
+        return response.status(404).send({ message: "Playlist not found" });
+      }
+      const lines = await Promise.all(
+        source
+          .split("\n")
+          .map((line) =>
+            line && !line.startsWith("#")
+              ? mediaUrl(galleryItem.hls.prefix + line)
+              : line
+          )
+      );
+      text = lines.join("\n");
+    }
+
+    // playlists hold signed URLs, don't let them outlive the signatures
+    response.set("Cache-Control", "private, max-age=300");
+    return response
+      .status(200)
+      .type("application/vnd.apple.mpegurl")
+      .send(text);
+  } catch (error) {
+    console.error(error.message);
+    return response.status(500).send({ message: "Internal Server Error" });
+  }
+});
 
 export default router;
@@ -0,0 +1,100 @@
+import express from "express";
+import {
+  chunkSize,
+  createUpload,
+  findUpload,
+  storeChunk,
+  completeUpload,
+  deleteUpload,
+} from "../services/chunkedUploads.js";
+import { UploadError } from "../services/uploadChecks.js";
+
+// Resumable uploads for large gallery media, see services/chunkedUploads.js.
+// A complete upload is attached with `uploadId` in POST /gallery/:monumentId
+// or PUT /gallery/:id instead of a multipart file.
+const router = express.Router();
+
+const sendUploadError = (error, response) => {
+  if (error instanceof UploadError) {
+    return response.status(error.status).send({ message: error.message });
+  }
+  console.error(error.message);
+  return response.status(500).send({ message: "Internal Server Error" });
+};
+
+// the stored chunks, a client resumes by sending the missing ones
+const uploadStatus = (upload) => ({
+  uploadId: upload._id,
+  filename: upload.originalname,
+  size: upload.size,
+  chunkSize: upload.chunkSize,
+  totalChunks: upload.totalChunks,
+  received: upload.received,
+  status: upload.status,
+});
+
+// start an upload: { filename, mimetype, size }
+router.post("/", async (request, response) => {
+  try {
+    const upload = await createUpload(request.body, request.user.id);
+
+    return response.status(201).json(uploadStatus(upload));
+  } catch (error) {
+    sendUploadError(error, response);
+  }
+});
+
+router.get("/:id", async (request, response) => {
+  try {
+    const upload = await findUpload(request.params.id, request.user.id);
+
+    return response.status(200).json(uploadStatus(upload));
+  } catch (error) {
+    sendUploadError(error, response);
+  }
+});
+
+// the raw bytes of chunk `index`
+router.put(
+  "/:id/chunks/:index",
+  express.raw({ type: "application/octet-stream", limit: chunkSize }),
+  async (request, response) => {
+    try {
+      const upload = await findUpload(request.params.id, request.user.id);
+      const updated = await storeChunk(
+        upload,
+        request.params.index,
+        request.body
+      );
+
+      return response.status(200).json(uploadStatus(updated));
+    } catch (error) {
+      sendUploadError(error, response);
+    }
+  }
+);
+
+router.post("/:id/complete", async (request, response) => {
+  try {
+    const upload = await findUpload(request.params.id, request.user.id);
+    await completeUpload(upload);
+
+    return response.status(200).json(uploadStatus(upload));
+  } catch (error) {
+    sendUploadError(error, response);
+  }
+});
+
+// abort an upload and drop what was sent
+router.delete("/:id", async (request, response) => {
+  try {
+    const upload = await findUpload(request.params.id, request.user.id);
+    await deleteUpload(upload);
+
+    return response.status(200).json({ message: "Upload deleted" });
+  } catch (error) {
+    sendUploadError(error, response);
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+// Lists stored objects no document points at, gallery items whose monument
+// is gone and documents pointing at objects that aren't stored, see
+// services/mediaGc.js. A dry run unless --delete is passed, which deletes
+// the orphaned gallery items and the orphans older than the grace period
+// (MEDIA_GC_GRACE_HOURS, default 24). Dangling references are only listed.
+//
+//   npm run media:gc
+//   npm run media:gc -- --delete --grace-hours=48
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { parseArgs } from "util";
+import { collectGarbage, graceHours } from "../services/mediaGc.js";
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    delete: { type: "boolean", default: false },
+    "grace-hours": { type: "string", default: String(graceHours) },
+  },
+});
+
+const collect = async () => {
+  const grace = Number(values["grace-hours"]);
+  if (!Number.isFinite(grace) || grace < 0) {
+    throw new Error("--grace-hours must be a number of hours");
+  }
+
+  await mongoose.connect(process.env.MONGOURL);
+  const remove = values.delete;
+  const report = await collectGarbage({ remove, grace });
+  const action = remove ? "deleted" : "to delete";
+
+  console.log(
+    `gallery items without a monument ${action}: ${report.galleryItems.length}`
+  );
+  for (const item of report.galleryItems) {
+    console.log(
+      `  ${item.id} "${item.imgTitle}" (monument ${item.monumentId})`
+    );
+  }
+
+  console.log(`orphaned objects ${action}: ${report.orphans.length}`);
+  for (const { key, lastModified } of report.orphans) {
+    console.log(`  ${key} (${lastModified.toISOString()})`);
+  }
+  console.log(
+    `orphaned objects kept, newer than ${grace} hours: ${report.recent.length}`
+  );
+  for (const { key, lastModified } of report.recent) {
+    console.log(`  ${key} (${lastModified.toISOString()})`);
+  }
+
+  console.log(`references to missing objects: ${report.dangling.length}`);
+  for (const { key, owners } of report.dangling) {
+    console.log(`  ${key}: ${owners.join(", ")}`);
+  }
+  if (!remove) console.log("dry run, pass --delete to delete");
+};
+
+collect()
+  .catch((error) => {
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,71 @@
+// Computes the perceptual hash of gallery images and covers processed
+// before duplicate detection existed, see services/duplicates.js, then
+// finds the duplicate pairs of every hashed image again. Images that can't
+// be read are listed and left without a hash. Safe to run more than once.
+//
+//   npm run migrate:hashes
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Monument from "../models/monumentModel.js";
+import Gallery from "../models/galleryModel.js";
+import storage from "../services/storage/index.js";
+import { uploadPrefix } from "../services/mediaJobs.js";
+import { imageHash, rebuildDuplicates } from "../services/duplicates.js";
+
+dotenv.config();
+
+// raw uploads get their hash from the worker, videos have none
+const unhashed = (field) => ({
+  [field]: { $not: new RegExp(`^${uploadPrefix}|\\.mp4$`) },
+});
+
+const hashKey = async (key, failed) => {
+  try {
+    return await imageHash(await storage.getObject(key));
+  } catch (error) {
+    failed.push(`${key}: ${error.message}`);
+    return null;
+  }
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGOURL);
+  const failed = [];
+
+  let galleryHashed = 0;
+  const galleryCursor = Gallery.find({
+    phash: null,
+    ...unhashed("image"),
+  }).cursor();
+  for await (const item of galleryCursor) {
+    const phash = await hashKey(item.image, failed);
+    if (!phash) continue;
+    await Gallery.updateOne({ _id: item._id }, { phash });
+    galleryHashed++;
+  }
+  console.log(`gallery images hashed: ${galleryHashed}`);
+
+  let coversHashed = 0;
+  const monumentCursor = Monument.find({
+    cover_phash: null,
+    ...unhashed("cover_image"),
+  }).cursor();
+  for await (const monument of monumentCursor) {
+    const phash = await hashKey(monument.cover_image, failed);
+    if (!phash) continue;
+    await Monument.updateOne({ _id: monument._id }, { cover_phash: phash });
+    coversHashed++;
+  }
+  console.log(`covers hashed: ${coversHashed}`);
+  console.log(`duplicate pairs: ${await rebuildDuplicates()}`);
+
+  console.log(`unreadable images: ${failed.length}`);
+  for (const line of failed) console.log(`  ${line}`);
+};
+
+migrate()
+  .catch((error) => {
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
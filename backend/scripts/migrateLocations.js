@@ -0,0 +1,70 @@
+// Converts "latitude,longitude" text locations to GeoJSON points and builds
+// the 2dsphere index. Text that isn't a coordinate (empty values, saved
+// geolocation error messages) is removed and listed. Safe to run more than
+// once; run it before starting the server on an existing database.
+//
+//   npm run migrate:locations
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Monument from "../models/monumentModel.js";
+import { readPoint } from "../services/geo.js";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGOURL, { autoIndex: false });
+  const monuments = mongoose.connection.collection("monuments");
+  const revisions = mongoose.connection.collection("revisions");
+
+  let converted = 0;
+  const dropped = [];
+  const cursor = monuments.find(
+    { location: { $type: "string" } },
+    { projection: { location: 1 } }
+  );
+  for await (const monument of cursor) {
+    const location = readPoint(monument.location);
+    if (location) {
+      await monuments.updateOne({ _id: monument._id }, { $set: { location } });
+      converted++;
+    } else {
+      await monuments.updateOne(
+        { _id: monument._id },
+        { $unset: { location: "" } }
+      );
+      if (monument.location.trim()) {
+        dropped.push(`${monument._id}: ${monument.location}`);
+      }
+    }
+  }
+  console.log(`locations converted: ${converted}, removed: ${dropped.length}`);
+  for (const line of dropped) console.log(`  ${line}`);
+
+  // pending edits are applied as they are, so they need points as well
+  let pending = 0;
+  const revisionCursor = revisions.find({
+    status: "pending",
+    "changes.location": { $type: "string" },
+  });
+  for await (const revision of revisionCursor) {
+    const location = readPoint(revision.changes.location);
+    await revisions.updateOne(
+      { _id: revision._id },
+      location
+        ? { $set: { "changes.location": location } }
+        : { $unset: { "changes.location": "" } }
+    );
+    pending++;
+  }
+  console.log(`pending revisions updated: ${pending}`);
+
+  await Monument.createIndexes();
+  console.log("indexes created");
+};
+
+migrate()
+  .catch((error) => {
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,64 @@
+// Converts the old binary verification flag (status "1"/"0") to the
+// moderation states and gives existing gallery items a state. Safe to run
+// more than once.
+//
+//   npm run migrate:moderation
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGOURL);
+  const monuments = mongoose.connection.collection("monuments");
+
+  const approved = await monuments.updateMany(
+    { status: { $in: ["1", 1] } },
+    { $set: { status: "approved" } }
+  );
+  const submitted = await monuments.updateMany(
+    {
+      $or: [
+        { status: { $in: ["0", 0, null] } },
+        { status: { $exists: false } },
+      ],
+    },
+    [{ $set: { status: "submitted", submittedAt: "$createdAt" } }]
+  );
+  await monuments.updateMany(
+    { reviewLog: { $exists: false } },
+    { $set: { reviewLog: [] } }
+  );
+
+  console.log(
+    `approved: ${approved.modifiedCount}, submitted: ${submitted.modifiedCount}`
+  );
+
+  // gallery items uploaded before moderation inherit the state of their
+  // monument, so published galleries stay published
+  const galleries = mongoose.connection.collection("galleries");
+  const published = await monuments
+    .find({ status: "approved" }, { projection: { _id: 1 } })
+    .map((monument) => monument._id)
+    .toArray();
+
+  const approvedMedia = await galleries.updateMany(
+    { status: { $exists: false }, monumentId: { $in: published } },
+    { $set: { status: "approved", reviewLog: [] } }
+  );
+  const submittedMedia = await galleries.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "submitted", reviewLog: [] } }
+  );
+
+  console.log(
+    `gallery approved: ${approvedMedia.modifiedCount}, submitted: ${submittedMedia.modifiedCount}`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
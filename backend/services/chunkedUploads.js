@@ -0,0 +1,197 @@
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import Upload from "../models/uploadModel.js";
+import storage from "./storage/index.js";
+import { stageUpload } from "./mediaJobs.js";
+import {
+  UploadError,
+  maxUploadSize,
+  maxImageSize,
+  checkMedia,
+  readHead,
+} from "./uploadChecks.js";
+
+dotenv.config();
+
+// Resumable uploads: the client creates an upload, sends the file in
+// chunks of `chunkSize` bytes in any order (resending a chunk is harmless),
+// then completes it. Chunks are kept on disk under UPLOAD_TMP_DIR, the
+// assembled file is checked and staged in storage like a regular upload.
+export const chunkSize = Number(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1048576;
+export const tmpDir =
+  process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "monument-uploads");
+// Hours an unfinished or unused upload is kept
+const uploadTtl = Number(process.env.UPLOAD_TTL_HOURS) || 24;
+
+const uploadDir = (upload) => path.join(tmpDir, String(upload._id));
+
+const expiry = () => new Date(Date.now() + uploadTtl * 60 * 60 * 1000);
+
+export const createUpload = ({ filename, mimetype, size }, userId) => {
+  size = Number(size);
+  if (!filename || !Number.isInteger(size) || size <= 0) {
+    throw new UploadError("send all required fields: filename, size");
+  }
+  // the content is checked once complete, the declared type saves sending
+  // a file that can't be accepted anyway
+  if (mimetype && !/^(image|video)\//.test(mimetype)) {
+    throw new UploadError(`${filename} is not an image or a video`, 415);
+  }
+  const limit = mimetype?.startsWith("image/") ? maxImageSize : maxUploadSize;
+  if (size > limit) {
+    throw new UploadError(
+      `File is too big, the maximum is ${limit / 1048576} MB`,
+      413
+    );
+  }
+
+  return Upload.create({
+    user: userId,
+    originalname: path.basename(filename),
+    mimetype: mimetype || "application/octet-stream",
+    size,
+    chunkSize,
+    totalChunks: Math.ceil(size / chunkSize),
+    expiresAt: expiry(),
+  });
+};
+
+// An upload of `userId` that hasn't expired
+export const findUpload = async (id, userId) => {
+  const upload = await Upload.findOne({
+    _id: id,
+    user: userId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!upload) throw new UploadError("Upload is not found", 404);
+  return upload;
+};
+
+const chunkLength = (upload, index) =>
+  index == upload.totalChunks - 1
+    ? upload.size - index * upload.chunkSize
+    : upload.chunkSize;
+
+export const storeChunk = async (upload, index, data) => {
+  index = Number(index);
+  if (upload.status != "uploading") {
+    throw new UploadError("Upload is already complete", 409);
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+    throw new UploadError(`Chunk index must be 0 to ${upload.totalChunks - 1}`);
+  }
+  if (!Buffer.isBuffer(data) || data.length != chunkLength(upload, index)) {
+    throw new UploadError(
+      `Chunk ${index} must be ${chunkLength(upload, index)} bytes`
+    );
+  }
+
+  await fs.mkdir(uploadDir(upload), { recursive: true });
+  await fs.writeFile(path.join(uploadDir(upload), String(index)), data);
+
+  return Upload.findByIdAndUpdate(
+    upload._id,
+    { $addToSet: { received: index }, expiresAt: expiry() },
+    { new: true }
+  );
+};
+
+// Joins the chunks and stages the file in storage
+export const completeUpload = async (upload) => {
+  if (upload.status == "complete") return upload;
+
+  const missing = [];
+  for (let index = 0; index < upload.totalChunks; index++) {
+    if (!upload.received.includes(index)) missing.push(index);
+  }
+  if (missing.length) {
+    throw new UploadError(`Missing chunks: ${missing.join(", ")}`, 409);
+  }
+
+  const filePath = path.join(uploadDir(upload), "file");
+  await fs.rm(filePath, { force: true });
+  for (let index = 0; index < upload.totalChunks; index++) {
+    const chunk = await fs.readFile(
+      path.join(uploadDir(upload), String(index))
+    );
+    await fs.appendFile(filePath, chunk);
+  }
+
+  let type;
+  try {
+    type = checkMedia({
+      head: await readHead(filePath),
+      size: upload.size,
+      originalname: upload.originalname,
+    });
+  } catch (error) {
+    if (error instanceof UploadError) await deleteUpload(upload);
+    throw error;
+  }
+  upload.mimetype = type.mimetype;
+  upload.originalname =
+    path.basename(upload.originalname, path.extname(upload.originalname)) +
+    type.extension;
+
+  upload.key = await stageUpload({
+    originalname: upload.originalname,
+    mimetype: upload.mimetype,
+    path: filePath,
+  });
+  upload.status = "complete";
+  upload.expiresAt = expiry();
+  await upload.save();
+
+  await fs.rm(uploadDir(upload), { recursive: true, force: true });
+  return upload;
+};
+
+// Hands a complete upload over to a gallery item, which then owns the
+// staged file. Returns it in the shape of an uploaded file.
+export const takeUpload = async (id, userId) => {
+  const upload = await findUpload(id, userId);
+  if (upload.status != "complete") {
+    throw new UploadError("Upload is not complete", 409);
+  }
+  await Upload.deleteOne({ _id: upload._id });
+
+  return {
+    key: upload.key,
+    originalname: upload.originalname,
+    mimetype: upload.mimetype,
+    size: upload.size,
+  };
+};
+
+export const deleteUpload = async (upload) => {
+  await fs.rm(uploadDir(upload), { recursive: true, force: true });
+  if (upload.key) await storage.deleteObject(upload.key);
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+export const purgeExpiredUploads = async () => {
+  const uploads = await Upload.find({ expiresAt: { $lte: new Date() } });
+  for (const upload of uploads) {
+    try {
+      await deleteUpload(upload);
+    } catch (error) {
+      console.error(`Error deleting upload ${upload._id}:`, error.message);
+    }
+  }
+  return uploads.length;
+};
+
+// Runs the cleanup once an hour for as long as the server is up
+export const scheduleUploadPurge = () => {
+  const run = () =>
+    purgeExpiredUploads()
+      .then((count) => {
+        if (count) console.log(`deleted ${count} abandoned uploads`);
+      })
+      .catch((error) => console.error(error.message));
+
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+};
@@ -0,0 +1,331 @@
+import sharp from "sharp";
+import Monument from "../models/monumentModel.js";
+import Gallery from "../models/galleryModel.js";
+import Duplicate from "../models/duplicateModel.js";
+import { deleteGalleryMedia } from "./galleryMedia.js";
+
+// Near-duplicate images. Every processed image gets a perceptual hash, 64
+// bits stored as 16 hex digits: gallery items as `phash`, covers as
+// `cover_phash`. Resizing, re-encoding and small edits change few bits, so
+// two images whose hashes differ in at most DUPLICATE_MAX_DISTANCE bits
+// (default 10) are taken for the same photo, see test/duplicates.test.js.
+//
+// The pairs are found once, by the worker when it hashes an image, and
+// stored as Duplicate documents. A pair only counts while both images are
+// there with the hashes it was found with.
+//
+// A monument's cover and its own gallery items are never duplicates, a
+// gallery image can be made the cover on purpose.
+export const maxDistance = Number(process.env.DUPLICATE_MAX_DISTANCE ?? 10);
+
+const hashSize = 32;
+const cosines = Array.from({ length: 8 }, (_, frequency) =>
+  Array.from({ length: hashSize }, (_, x) =>
+    Math.cos(((2 * x + 1) * frequency * Math.PI) / (2 * hashSize))
+  )
+);
+
+// The 8x8 lowest frequencies of the DCT of a 32x32 grayscale thumbnail give
+// one bit each, set where the coefficient is above their median. They hold
+// the layout of the image, not the details lost to resizing and encoding.
+export const imageHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .removeAlpha()
+    .grayscale()
+    .resize(hashSize, hashSize, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < hashSize; y++) {
+        for (let x = 0; x < hashSize; x++) {
+          sum += pixels[y * hashSize + x] * cosines[u][x] * cosines[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+  // the first is the average brightness, left out of the median
+  const median = coefficients.slice(1).sort((a, b) => a - b)[31];
+
+  let hash = "";
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let column = 0; column < 8; column++) {
+      byte = (byte << 1) | (coefficients[row * 8 + column] > median ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, "0");
+  }
+  return hash;
+};
+
+// number of bits set in each byte
+const bitCounts = Array.from({ length: 256 }, (_, byte) => {
+  let count = 0;
+  for (let bits = byte; bits; bits >>= 1) count += bits & 1;
+  return count;
+});
+
+// Number of differing bits between two hashes
+export const hashDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < 16; i += 2) {
+    distance +=
+      bitCounts[
+        parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16)
+      ];
+  }
+  return distance;
+};
+
+// Images as { kind, _id, monumentId, title, hash, createdAt }
+const gallerySelect = "phash monumentId imgTitle createdAt";
+const coverSelect = "cover_phash title createdAt";
+
+const galleryImage = (item) => ({
+  kind: "gallery",
+  _id: item._id,
+  monumentId: item.monumentId,
+  title: item.imgTitle,
+  hash: item.phash,
+  createdAt: item.createdAt,
+});
+
+const coverImage = (monument) => ({
+  kind: "cover",
+  _id: monument._id,
+  monumentId: monument._id,
+  title: monument.title,
+  hash: monument.cover_phash,
+  createdAt: monument.createdAt,
+});
+
+const imageKey = (kind, id) => `${kind}:${id}`;
+
+// Every hashed image in the catalogue. Trashed monuments and their
+// galleries are left out.
+export const loadHashes = async () => {
+  const [galleryItems, monuments] = await Promise.all([
+    Gallery.find({ phash: { $ne: null }, trash: null })
+      .select(gallerySelect)
+      .lean(),
+    Monument.find({ cover_phash: { $ne: null }, trash: null })
+      .select(coverSelect)
+      .lean(),
+  ]);
+  return [...galleryItems.map(galleryImage), ...monuments.map(coverImage)];
+};
+
+const isDuplicate = (a, b) =>
+  !(a.kind == b.kind && a._id.equals(b._id)) &&
+  !(a.kind != b.kind && a.monumentId?.equals(b.monumentId)) &&
+  hashDistance(a.hash, b.hash) <= maxDistance;
+
+const pairSide = ({ kind, _id, monumentId, hash }) => ({
+  kind,
+  imageId: _id,
+  monumentId,
+  hash,
+});
+
+// a Duplicate document for two images, the later one first
+const duplicatePair = (a, b) => {
+  const [later, earlier] = a.createdAt < b.createdAt ? [b, a] : [a, b];
+  return {
+    image: pairSide(later),
+    match: pairSide(earlier),
+    distance: hashDistance(a.hash, b.hash),
+  };
+};
+
+const pairsOf = (kind, ids) => ({
+  $or: ["image", "match"].map((side) => ({
+    [`${side}.kind`]: kind,
+    [`${side}.imageId`]: { $in: ids },
+  })),
+});
+
+// Drops the stored pairs of images that are deleted
+export const forgetDuplicates = (kind, ids) =>
+  Duplicate.deleteMany(pairsOf(kind, ids));
+
+// Replaces the stored pairs of one image, a gallery item or a monument's
+// cover, after it was hashed. Compares it with every other image, so it is
+// run by the worker. Returns the number of pairs found.
+export const recordDuplicates = async (kind, id) => {
+  await forgetDuplicates(kind, [id]);
+
+  const image =
+    kind == "gallery"
+      ? await Gallery.findOne({ _id: id, trash: null })
+          .select(gallerySelect)
+          .lean()
+          .then((item) => item && galleryImage(item))
+      : await Monument.findOne({ _id: id, trash: null })
+          .select(coverSelect)
+          .lean()
+          .then((monument) => monument && coverImage(monument));
+  if (!image?.hash) return 0;
+
+  const pairs = (await loadHashes())
+    .filter((other) => isDuplicate(image, other))
+    .map((other) => duplicatePair(image, other));
+  // the other image may have been recorded at the same time
+  await Duplicate.insertMany(pairs, { ordered: false }).catch((error) => {
+    if (error.code != 11000) throw error;
+  });
+  return pairs.length;
+};
+
+// Finds every pair from scratch, for scripts/hashMedia.js. Compares all
+// images with each other, so it is only meant for the migration.
+export const rebuildDuplicates = async () => {
+  const hashes = await loadHashes();
+  const pairs = [];
+  for (let a = 0; a < hashes.length; a++) {
+    for (let b = a + 1; b < hashes.length; b++) {
+      if (isDuplicate(hashes[a], hashes[b])) {
+        pairs.push(duplicatePair(hashes[a], hashes[b]));
+      }
+    }
+  }
+  await Duplicate.deleteMany({});
+  await Duplicate.insertMany(pairs);
+  return pairs.length;
+};
+
+// The images of the stored pairs `pairs` that are still in the catalogue,
+// by imageKey
+const currentImages = async (pairs) => {
+  const sides = pairs.flatMap((pair) => [pair.image, pair.match]);
+  const ids = (kind) =>
+    sides.filter((side) => side.kind == kind).map((side) => side.imageId);
+
+  const [galleryItems, monuments] = await Promise.all([
+    Gallery.find({ _id: { $in: ids("gallery") }, trash: null })
+      .select(gallerySelect)
+      .lean(),
+    Monument.find({ _id: { $in: ids("cover") }, trash: null })
+      .select(coverSelect)
+      .lean(),
+  ]);
+  return new Map(
+    [...galleryItems.map(galleryImage), ...monuments.map(coverImage)].map(
+      (image) => [imageKey(image.kind, image._id), image]
+    )
+  );
+};
+
+// both images are there and unchanged since the pair was found
+const isCurrent = (images, pair) =>
+  [pair.image, pair.match].every(
+    (side) => images.get(imageKey(side.kind, side.imageId))?.hash == side.hash
+  );
+
+// Copies of `docs`, plain gallery items or monuments as returned by
+// withMediaUrls, with the earlier images each of them duplicates as
+// `duplicates`, closest first
+export const withDuplicates = async (docs, kind = "gallery") => {
+  const hashField = kind == "gallery" ? "phash" : "cover_phash";
+  const hashed = docs.filter((doc) => doc[hashField]);
+  if (!hashed.length) return docs;
+
+  const pairs = await Duplicate.find({
+    "image.kind": kind,
+    "image.imageId": { $in: hashed.map((doc) => doc._id) },
+  }).lean();
+  const images = await currentImages(pairs);
+
+  const duplicates = new Map();
+  for (const pair of pairs.filter((pair) => isCurrent(images, pair))) {
+    const { hash, ...match } = images.get(
+      imageKey(pair.match.kind, pair.match.imageId)
+    );
+    const key = String(pair.image.imageId);
+    if (!duplicates.has(key)) duplicates.set(key, []);
+    duplicates.get(key).push({
+      ...match,
+      distance: pair.distance,
+      sameMonument: Boolean(match.monumentId?.equals(pair.image.monumentId)),
+    });
+  }
+
+  return docs.map((doc) =>
+    doc[hashField]
+      ? {
+          ...doc,
+          duplicates: (duplicates.get(String(doc._id)) || []).sort(
+            (a, b) => a.distance - b.distance
+          ),
+        }
+      : doc
+  );
+};
+
+// Groups of two or more images that are duplicates of each other, directly
+// or through another image of the group, from the stored pairs. Oldest
+// image first in each group.
+export const duplicateClusters = async () => {
+  const pairs = await Duplicate.find().lean();
+  const images = await currentImages(pairs);
+
+  const parent = new Map();
+  const root = (key) => {
+    while (parent.get(key) != key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+
+  for (const pair of pairs.filter((pair) => isCurrent(images, pair))) {
+    const keys = [pair.image, pair.match].map((side) =>
+      imageKey(side.kind, side.imageId)
+    );
+    for (const key of keys) if (!parent.has(key)) parent.set(key, key);
+    parent.set(root(keys[0]), root(keys[1]));
+  }
+
+  const clusters = new Map();
+  for (const key of parent.keys()) {
+    const group = root(key);
+    if (!clusters.has(group)) clusters.set(group, []);
+    clusters.get(group).push(images.get(key));
+  }
+  return [...clusters.values()].map((cluster) =>
+    cluster.sort((a, b) => a.createdAt - b.createdAt)
+  );
+};
+
+// Deletes the gallery items `removeIds` as duplicates of the image kept.
+// When that is a gallery item, `keep`, its missing description and rights
+// are taken from the removed items. Returns the number of removed items.
+export const mergeDuplicates = async (keep, removeIds) => {
+  const removed = await Gallery.find({
+    _id: { $in: removeIds, ...(keep && { $ne: keep._id }) },
+  });
+
+  if (keep) {
+    for (const item of removed) {
+      if (!keep.description && item.description) {
+        keep.description = item.description;
+      }
+      if (!keep.rights && item.rights) keep.rights = item.toObject().rights;
+    }
+    await keep.save();
+  }
+
+  for (const item of removed) {
+    await Gallery.deleteOne({ _id: item._id });
+    await deleteGalleryMedia(item);
+  }
+  await forgetDuplicates(
+    "gallery",
+    removed.map((item) => item._id)
+  );
+  return removed.length;
+};
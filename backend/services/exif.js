@@ -0,0 +1,59 @@
+import sharp from "sharp";
+import exifReader from "exif-reader";
+
+// EXIF of uploaded photos. The stored sizes are re-encoded by sharp, which
+// writes no metadata, so this is the only chance to read it. The capture
+// date and camera are kept on the media record as `exif`, the GPS position
+// is only offered to the monument owner as a location, see
+// suggestedLocation in models/monumentModel.js.
+
+// [degrees, minutes, seconds] and N/S/E/W to signed decimal degrees
+const toDegrees = (parts, ref) => {
+  if (!Array.isArray(parts) || parts.length != 3) return null;
+  const degrees = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  if (!Number.isFinite(degrees)) return null;
+  return ["S", "W"].includes(ref) ? -degrees : degrees;
+};
+
+const gpsPoint = (gps) => {
+  if (!gps) return undefined;
+  const lat = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const lng = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+  // cameras without a fix write zeros
+  if (lat == null || lng == null || (lat == 0 && lng == 0)) return undefined;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+const validDate = (date) =>
+  date instanceof Date && !isNaN(date) && date <= new Date() ? date : undefined;
+
+// `exif` with the capture date and camera of the image in `buffer`, and its
+// GPS `location` as a GeoJSON point. Either is undefined when the image
+// doesn't have it, unreadable metadata is ignored.
+export const readExif = async (buffer) => {
+  try {
+    const { exif } = await sharp(buffer).metadata();
+    if (!exif) return {};
+    const tags = exifReader(exif);
+
+    const capturedAt = validDate(
+      tags.Photo?.DateTimeOriginal || tags.Image?.DateTime
+    );
+    const make = (tags.Image?.Make || "").trim();
+    const model = (tags.Image?.Model || "").trim();
+    // most models already start with the make, "Canon Canon EOS 80D"
+    const camera = model.startsWith(make) ? model : `${make} ${model}`.trim();
+
+    return {
+      exif:
+        capturedAt || camera
+          ? { capturedAt, camera: camera || undefined }
+          : undefined,
+      location: gpsPoint(tags.GPSInfo),
+    };
+  } catch (error) {
+    console.error("Error reading EXIF:", error.message);
+    return {};
+  }
+};
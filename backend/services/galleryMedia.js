@@ -0,0 +1,43 @@
+import storage from "./storage/index.js";
+import { storeImageVariants, imageKeys } from "./images.js";
+import { storeVideo, hlsKeys } from "./videos.js";
+
+// Processes and stores an uploaded gallery file. Images are stored in every
+// size and format, videos are transcoded with a poster frame. Returns the
+// fields to set on the Gallery document.
+export const storeGalleryFile = async (file) => {
+  const randomNumber = Math.floor(Math.random() * 1000000) + 1000000;
+  const baseName = `${file.originalname.split(".")[0]}${randomNumber}`;
+
+  if (file.mimetype.startsWith("video")) {
+    const image = `${baseName}.mp4`;
+    const video = await storeVideo(file.buffer, image);
+    return { image, variants: undefined, ...video };
+  }
+
+  const image = `${baseName}.jpg`;
+  const variants = await storeImageVariants(file.buffer, image);
+  return {
+    image,
+    variants,
+    poster: undefined,
+    duration: undefined,
+    width: undefined,
+    height: undefined,
+    hls: undefined,
+    hlsPlaylists: undefined,
+  };
+};
+
+// Every stored key of a gallery item
+export const galleryMediaKeys = (galleryItem) => [
+  ...imageKeys(galleryItem.image, galleryItem.variants),
+  ...(galleryItem.poster ? [galleryItem.poster] : []),
+  ...hlsKeys(galleryItem.hls),
+];
+
+export const deleteGalleryMedia = async (galleryItem) => {
+  for (const key of galleryMediaKeys(galleryItem)) {
+    await storage.deleteObject(key);
+  }
+};
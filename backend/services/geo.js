@@ -0,0 +1,135 @@
+// Monument locations are GeoJSON points, [longitude, latitude], indexed with
+// 2dsphere. Forms and older documents use "latitude,longitude" text.
+import Monument from "../models/monumentModel.js";
+
+const maxRadius = 500000;
+const maxResults = 100;
+
+export class GeoError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const isLatitude = (value) => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = (value) => Number.isFinite(value) && Math.abs(value) <= 180;
+
+const point = (lat, lng) =>
+  isLatitude(lat) && isLongitude(lng)
+    ? { type: "Point", coordinates: [lng, lat] }
+    : null;
+
+// Reads a "lat,long" string, a {lat, lng} object or a GeoJSON point.
+// Returns null when the value isn't a usable coordinate.
+export const readPoint = (value) => {
+  if (!value) return null;
+  if (typeof value == "string") {
+    const parts = value.split(",");
+    if (parts.length != 2 || parts.some((part) => !part.trim())) return null;
+    return point(Number(parts[0]), Number(parts[1]));
+  }
+  if (value.type == "Point" && Array.isArray(value.coordinates)) {
+    return point(Number(value.coordinates[1]), Number(value.coordinates[0]));
+  }
+  if ("lat" in value && "lng" in value) {
+    return point(Number(value.lat), Number(value.lng));
+  }
+  return null;
+};
+
+// Like readPoint for user input: empty clears the location, anything else
+// has to be a valid coordinate.
+export const toPoint = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const location = readPoint(value);
+  if (!location) {
+    throw new GeoError(
+      'location must be "latitude,longitude" with latitude -90..90 and longitude -180..180'
+    );
+  }
+  return location;
+};
+
+// lat and lng of a query string, both required
+export const queryPoint = (query) => {
+  const location = point(Number(query.lat), Number(query.lng));
+  if (query.lat === undefined || query.lng === undefined || !location) {
+    throw new GeoError("send a valid lat and lng");
+  }
+  return location;
+};
+
+// "minLng,minLat,maxLng,maxLat" as a list of $box corners. $box compares
+// flat coordinates, so its north and south edges follow the latitudes, where
+// a GeoJSON polygon would use great circles and miss parts of a wide box.
+// minLng greater than maxLng is a box across the antimeridian, split in two.
+export const queryBbox = (query) => {
+  const values = String(query.bbox || "")
+    .split(",")
+    .map(Number);
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (
+    values.length != 4 ||
+    !isLongitude(minLng) ||
+    !isLongitude(maxLng) ||
+    !isLatitude(minLat) ||
+    !isLatitude(maxLat) ||
+    minLat >= maxLat ||
+    minLng == maxLng
+  ) {
+    throw new GeoError("bbox must be minLng,minLat,maxLng,maxLat");
+  }
+  if (minLng < maxLng) {
+    return [
+      [
+        [minLng, minLat],
+        [maxLng, maxLat],
+      ],
+    ];
+  }
+  return [
+    [
+      [minLng, minLat],
+      [180, maxLat],
+    ],
+    [
+      [-180, minLat],
+      [maxLng, maxLat],
+    ],
+  ];
+};
+
+export const queryLimit = (query, defaultLimit, max = maxResults) =>
+  Math.min(max, Math.max(1, parseInt(query.limit) || defaultLimit));
+
+export const queryRadius = (query) => {
+  const radius = Number(query.radius ?? 10000);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > maxRadius) {
+    throw new GeoError(`radius must be between 1 and ${maxRadius} meters`);
+  }
+  return radius;
+};
+
+// Monuments matching `filter` ordered by distance from `near`, with the
+// distance in meters. `maxDistance` turns it into a radius search.
+export const monumentsNear = (near, filter, { maxDistance, limit }) =>
+  Monument.aggregate([
+    {
+      $geoNear: {
+        near,
+        distanceField: "distance",
+        spherical: true,
+        query: filter,
+        ...(maxDistance && { maxDistance }),
+      },
+    },
+    { $limit: limit },
+  ]);
+
+// Monuments matching `filter` inside any of the `boxes` from queryBbox
+export const monumentsWithin = (boxes, filter, { limit }) =>
+  Monument.find({
+    ...filter,
+    $or: boxes.map((box) => ({ location: { $geoWithin: { $box: box } } })),
+  }).limit(limit);
@@ -0,0 +1,65 @@
+import sharp from "sharp";
+import convert from "heic-convert";
+import storage from "./storage/index.js";
+import { sniffType } from "./uploadChecks.js";
+
+// Widths generated for every uploaded image. "original" keeps the full
+// resolution and is only re-encoded. Images are never enlarged, so a small
+// upload can end up with several sizes of the same width.
+export const imageSizes = { thumb: 320, card: 640, hero: 1600, original: null };
+
+const formats = {
+  webp: { extension: "webp", contentType: "image/webp", quality: 75 },
+  jpeg: { extension: "jpg", contentType: "image/jpeg", quality: 80 },
+};
+
+// Storage key of one variant of the image stored at `key`. The original JPEG
+// is `key` itself, so cover_image and image keep pointing at a plain full
+// size JPEG for anything that doesn't know about variants.
+export const variantKey = (key, size, format) => {
+  if (size == "original" && format == "jpeg") return key;
+  return `${key.replace(/\.[^.]+$/, "")}-${size}.${formats[format].extension}`;
+};
+
+// Every stored key of an image, `variants` being the widths saved with it
+export const imageKeys = (key, variants) => {
+  if (!variants) return [key];
+  return Object.keys(variants).flatMap((size) =>
+    Object.keys(formats).map((format) => variantKey(key, size, format))
+  );
+};
+
+// HEIC photos, the default on iPhones, can't be decoded by the libvips that
+// ships with sharp, so they are converted to JPEG first. Other images are
+// returned as they are.
+export const decodableImage = async (buffer) => {
+  if (sniffType(buffer) != "heic") return buffer;
+  return Buffer.from(await convert({ buffer, format: "JPEG", quality: 0.92 }));
+};
+
+// Resizes and encodes `buffer` to every size in WebP and JPEG and stores the
+// results next to `key`. Returns the width of each size. The stored files
+// carry no metadata: sharp drops EXIF, XMP and IPTC on output, once
+// `.rotate()` has applied the orientation. Read it first, see exif.js.
+export const storeImageVariants = async (buffer, key) => {
+  const variants = {};
+  for (const [size, width] of Object.entries(imageSizes)) {
+    for (const [format, { contentType, quality }] of Object.entries(formats)) {
+      let image = sharp(buffer).rotate();
+      if (width) image = image.resize({ width, withoutEnlargement: true });
+
+      const { data, info } = await image[format]({ quality }).toBuffer({
+        resolveWithObject: true,
+      });
+      await storage.putObject(variantKey(key, size, format), data, contentType);
+      variants[size] = info.width;
+    }
+  }
+  return variants;
+};
+
+export const deleteImage = async (key, variants) => {
+  for (const imageKey of imageKeys(key, variants)) {
+    await storage.deleteObject(imageKey);
+  }
+};
@@ -0,0 +1,127 @@
+import dotenv from "dotenv";
+import Job from "../models/jobModel.js";
+
+dotenv.config();
+
+// Mongo backed job queue. The API enqueues jobs, a worker process (see
+// worker.js) claims them one at a time and runs the handler defined for
+// their type. A failed attempt is retried with a growing delay until
+// maxAttempts is reached, then the handler's `fail` is called.
+
+// Seconds a running job may go without renewing its lock before it is
+// assumed its worker died, see renewLock
+const lockTimeout = Number(process.env.JOB_LOCK_TIMEOUT) || 30 * 60;
+
+const handlers = {};
+
+// `run(payload)` does the work, `fail(payload, error)` is called once after
+// the last attempt failed
+export const defineJob = (type, { run, fail }) => {
+  handlers[type] = { run, fail };
+};
+
+export const enqueue = (type, payload, options = {}) =>
+  Job.create({ type, payload, ...options });
+
+// 30s, 60s, 120s, ... after the first, second, third failed attempt
+const retryDelay = (attempts) => 30 * 2 ** (attempts - 1) * 1000;
+
+const claimJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedAt: { $lt: new Date(now.getTime() - lockTimeout * 1000) },
+        },
+      ],
+    },
+    { status: "running", lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Pushes the lock of a running job forward a few times per lockTimeout, so
+// a long run like a transcode isn't taken for the work of a dead worker
+const renewLock = (job) =>
+  setInterval(
+    () =>
+      Job.updateOne(
+        { _id: job._id, status: "running" },
+        { lockedAt: new Date() }
+      ).catch((error) =>
+        console.error(`job ${job._id} lock renewal:`, error.message)
+      ),
+    (lockTimeout * 1000) / 3
+  );
+
+export const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const renewal = renewLock(job);
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    // claimed again after its worker died in every attempt, e.g. running
+    // out of memory, it would otherwise be picked up forever
+    if (job.attempts > job.maxAttempts) {
+      throw new Error(
+        `Gave up after ${job.maxAttempts} attempts that did not finish`
+      );
+    }
+    await handler.run(job.payload);
+
+    job.status = "done";
+    job.error = undefined;
+  } catch (error) {
+    console.error(`job ${job._id} (${job.type}) failed:`, error.message);
+    job.error = error.message;
+
+    if (handler && job.attempts < job.maxAttempts) {
+      job.status = "queued";
+      job.runAt = new Date(Date.now() + retryDelay(job.attempts));
+    } else {
+      job.status = "failed";
+      try {
+        await handler?.fail?.(job.payload, error);
+      } catch (failError) {
+        console.error(`job ${job._id} fail handler:`, failError.message);
+      }
+    }
+  } finally {
+    clearInterval(renewal);
+  }
+
+  job.lockedAt = undefined;
+  if (job.status != "queued") job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+// Runs queued jobs one after the other, polling every `pollInterval` ms
+// while the queue is empty. Returns a function that stops the loop after
+// the current job and resolves once it has stopped.
+export const startWorker = ({ pollInterval = 2000 } = {}) => {
+  let stopped = false;
+
+  const loop = async () => {
+    while (!stopped) {
+      let job = null;
+      try {
+        job = await claimJob();
+        if (job) await runJob(job);
+      } catch (error) {
+        console.error(error.message);
+      }
+      if (!job) {
+        await new Promise((resolve) => setTimeout(resolve, pollInterval));
+      }
+    }
+  };
+
+  const done = loop();
+  return () => {
+    stopped = true;
+    return done;
+  };
+};
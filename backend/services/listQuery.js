@@ -0,0 +1,49 @@
+import { STATES } from "./moderation.js";
+
+const sorts = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  title: { title: 1 },
+  state: { state: 1, place: 1 },
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Reads page, limit, sort and the nation/state/place/status/q filters of a
+// monument listing from the query string.
+export const parseListQuery = (query, { defaultLimit = 20 } = {}) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    100,
+    Math.max(1, parseInt(query.limit) || defaultLimit)
+  );
+  const sort = sorts[query.sort] || sorts.newest;
+
+  const filter = {};
+  for (const field of ["nation", "state", "place"]) {
+    if (query[field]) {
+      filter[field] = new RegExp(`^${escapeRegExp(query[field])}$`, "i");
+    }
+  }
+  if (STATES.includes(query.status)) filter.status = query.status;
+  if (query.q) {
+    const q = new RegExp(escapeRegExp(query.q), "i");
+    filter.$or = [{ title: q }, { place: q }, { state: q }, { nation: q }];
+  }
+
+  return { page, limit, sort, filter };
+};
+
+// Runs one page of `filter` and returns it with the paging metadata
+export const paginate = async (Model, filter, { page, limit, sort }) => {
+  const [items, total] = await Promise.all([
+    Model.find(filter)
+      .sort({ ...sort, _id: 1 })
+      .collation({ locale: "en" })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(filter),
+  ]);
+
+  return { items, page, limit, total, pages: Math.ceil(total / limit) };
+};
@@ -0,0 +1,157 @@
+import dotenv from "dotenv";
+import Monument from "../models/monumentModel.js";
+import MonumentVersion from "../models/monumentVersionModel.js";
+import Revision from "../models/revisionModel.js";
+import Gallery from "../models/galleryModel.js";
+import Upload from "../models/uploadModel.js";
+import Job from "../models/jobModel.js";
+import storage from "./storage/index.js";
+import { imageKeys } from "./images.js";
+import { galleryMediaKeys, deleteGalleryMedia } from "./galleryMedia.js";
+
+dotenv.config();
+
+// Reconciles the stored objects with the documents pointing at them. An
+// object nothing points at is an orphan, left behind by a request that
+// failed halfway. Orphans younger than the grace period are kept: they may
+// be uploads whose documents aren't saved yet.
+export const graceHours = Number(process.env.MEDIA_GC_GRACE_HOURS) || 24;
+
+// Every stored key a document points at, with the documents pointing at it.
+// Trashed monuments, history, pending revisions, unfinished uploads and
+// queued jobs all keep their media.
+export const referencedKeys = async () => {
+  const references = new Map();
+  const add = (keys, owner) => {
+    for (const key of keys) {
+      if (!key) continue;
+      if (!references.has(key)) references.set(key, []);
+      references.get(key).push(owner);
+    }
+  };
+
+  for await (const monument of Monument.find()
+    .select("cover_image cover_variants")
+    .lean()
+    .cursor()) {
+    add(
+      imageKeys(monument.cover_image, monument.cover_variants),
+      `monument ${monument._id}`
+    );
+  }
+
+  for await (const version of MonumentVersion.find()
+    .select("monumentId version snapshot.cover_image snapshot.cover_variants")
+    .lean()
+    .cursor()) {
+    const { cover_image, cover_variants } = version.snapshot || {};
+    if (!cover_image) continue;
+    add(
+      imageKeys(cover_image, cover_variants),
+      `version ${version.version} of monument ${version.monumentId}`
+    );
+  }
+
+  // a rejected revision's cover is deleted with it, an approved one is
+  // the monument's or a version's
+  for await (const revision of Revision.find({
+    status: "pending",
+    "changes.cover_image": { $exists: true },
+  })
+    .select("changes.cover_image changes.cover_variants")
+    .lean()
+    .cursor()) {
+    const { cover_image, cover_variants } = revision.changes;
+    add(imageKeys(cover_image, cover_variants), `revision ${revision._id}`);
+  }
+
+  for await (const galleryItem of Gallery.find()
+    .select("image variants poster hls pendingUpload")
+    .lean()
+    .cursor()) {
+    add(
+      [...galleryMediaKeys(galleryItem), galleryItem.pendingUpload],
+      `gallery ${galleryItem._id}`
+    );
+  }
+
+  for await (const upload of Upload.find({ key: { $exists: true } })
+    .select("key")
+    .lean()
+    .cursor()) {
+    add([upload.key], `upload ${upload._id}`);
+  }
+
+  for await (const job of Job.find({ status: { $in: ["queued", "running"] } })
+    .select("payload")
+    .lean()
+    .cursor()) {
+    add([job.payload?.upload], `job ${job._id}`);
+  }
+
+  return references;
+};
+
+// Gallery items whose monument no longer exists
+export const orphanGalleryItems = async () => {
+  const monumentIds = await Gallery.distinct("monumentId");
+  const existing = await Monument.find({ _id: { $in: monumentIds } }).distinct(
+    "_id"
+  );
+  return Gallery.find({ monumentId: { $nin: existing } }).select(
+    "monumentId imgTitle image variants poster hls pendingUpload"
+  );
+};
+
+// Finds orphaned objects and gallery items, and references to objects that
+// aren't stored. Nothing is changed unless `remove` is set, then orphaned
+// gallery items are deleted with their media, and orphans older than
+// `grace` hours are deleted.
+export const collectGarbage = async ({
+  remove = false,
+  grace = graceHours,
+}) => {
+  const report = {
+    galleryItems: [],
+    orphans: [],
+    recent: [],
+    dangling: [],
+  };
+
+  for (const galleryItem of await orphanGalleryItems()) {
+    report.galleryItems.push({
+      id: galleryItem._id,
+      monumentId: galleryItem.monumentId,
+      imgTitle: galleryItem.imgTitle,
+    });
+    if (!remove) continue;
+    await deleteGalleryMedia(galleryItem);
+    if (galleryItem.pendingUpload) {
+      await storage.deleteObject(galleryItem.pendingUpload);
+    }
+    await Gallery.deleteOne({ _id: galleryItem._id });
+  }
+
+  // read before listing, so an object stored in between is recent and kept
+  const references = await referencedKeys();
+  const cutoff = new Date(Date.now() - grace * 60 * 60 * 1000);
+  const stored = new Set();
+
+  for await (const { key, lastModified } of storage.listObjects()) {
+    stored.add(key);
+    if (references.has(key)) continue;
+
+    if (lastModified > cutoff) {
+      report.recent.push({ key, lastModified });
+      continue;
+    }
+    report.orphans.push({ key, lastModified });
+    if (remove) await storage.deleteObject(key);
+  }
+
+  for (const [key, owners] of references) {
+    if (!stored.has(key)) report.dangling.push({ key, owners });
+  }
+
+  return report;
+};
@@ -0,0 +1,196 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import storage from "./storage/index.js";
+import Monument from "../models/monumentModel.js";
+import MonumentVersion from "../models/monumentVersionModel.js";
+import Revision from "../models/revisionModel.js";
+import Gallery from "../models/galleryModel.js";
+import { defineJob, enqueue } from "./jobs.js";
+import { storeImageVariants, deleteImage, decodableImage } from "./images.js";
+import { storeGalleryFile, deleteGalleryMedia } from "./galleryMedia.js";
+import { readExif } from "./exif.js";
+import { imageHash, recordDuplicates } from "./duplicates.js";
+
+// Uploads are stored as they are under this prefix and processed by the
+// worker. Until then documents point at the raw upload.
+export const uploadPrefix = "incoming/";
+
+// Stores an uploaded file untouched and returns its key. The file is read
+// from `path` when it was written to disk instead of kept in `buffer`.
+export const stageUpload = async (file) => {
+  const key = `${uploadPrefix}${randomUUID()}${path.extname(file.originalname)}`;
+  const body = file.path ? fs.createReadStream(file.path) : file.buffer;
+  await storage.putObject(key, body, file.mimetype);
+  return key;
+};
+
+// Stages a cover image. The monument:cover job below stores it in every
+// size and format once queueCover is called.
+export const stageCover = async (file) => {
+  const randomNumber = Math.floor(Math.random() * 9000) + 1000;
+  const fileName = `${file.originalname.split(".")[0]}${randomNumber}.jpg`;
+
+  const upload = await stageUpload(file);
+
+  return { upload, fileName };
+};
+
+// queued after the documents referencing the upload are saved
+export const queueCover = ({ upload, fileName }) =>
+  enqueue("monument:cover", { upload, key: fileName });
+
+// Cover images: `upload` is stored in every size at `key`. The raw upload
+// may be referenced by the monument, its versions and pending revisions,
+// all of them are pointed at the processed cover.
+const coverFilters = (upload) => ({
+  monument: { cover_image: upload },
+  version: { "snapshot.cover_image": upload },
+  // a rejected revision's upload is deleted with it
+  revision: { "changes.cover_image": upload, status: { $ne: "rejected" } },
+});
+
+// Offers the GPS position of a photo to the monuments matching `filter`
+// that have neither a location nor an earlier suggestion
+const suggestLocation = (filter, location) =>
+  Monument.updateMany(
+    { ...filter, location: null, suggestedLocation: null },
+    { suggestedLocation: location }
+  );
+
+defineJob("monument:cover", {
+  run: async ({ upload, key }) => {
+    const filters = coverFilters(upload);
+    const referenced = await Promise.all([
+      Monument.exists(filters.monument),
+      MonumentVersion.exists(filters.version),
+      Revision.exists(filters.revision),
+    ]);
+    if (!referenced.some(Boolean)) {
+      await storage.deleteObject(upload);
+      return;
+    }
+
+    const original = await storage.getObject(upload);
+    const { exif = null, location } = await readExif(original);
+    const buffer = await decodableImage(original);
+    const phash = await imageHash(buffer);
+    const variants = await storeImageVariants(buffer, key);
+
+    if (location) await suggestLocation(filters.monument, location);
+    const results = await Promise.all([
+      Monument.updateMany(filters.monument, {
+        cover_image: key,
+        cover_variants: variants,
+        cover_exif: exif,
+        cover_phash: phash,
+        mediaStatus: "ready",
+        $unset: { mediaError: 1 },
+      }),
+      MonumentVersion.updateMany(filters.version, {
+        "snapshot.cover_image": key,
+        "snapshot.cover_variants": variants,
+        "snapshot.cover_exif": exif,
+        "snapshot.cover_phash": phash,
+      }),
+      Revision.updateMany(filters.revision, {
+        "changes.cover_image": key,
+        "changes.cover_variants": variants,
+        "changes.cover_exif": exif,
+        "changes.cover_phash": phash,
+        "changes.mediaStatus": "ready",
+      }),
+    ]);
+
+    // purged or rejected while the job waited
+    if (results.every((result) => result.matchedCount == 0)) {
+      await deleteImage(key, variants);
+    }
+    const monuments = await Monument.find({ cover_image: key }).select("_id");
+    for (const monument of monuments) {
+      await recordDuplicates("cover", monument._id);
+    }
+    await storage.deleteObject(upload);
+  },
+  fail: async ({ upload }, error) => {
+    await Monument.updateMany(
+      { cover_image: upload },
+      { mediaStatus: "failed", mediaError: error.message }
+    );
+    await Revision.updateMany(coverFilters(upload).revision, {
+      "changes.mediaStatus": "failed",
+    });
+  },
+});
+
+// Gallery media: the item keeps serving its current media until the new
+// upload is processed. A newer upload or deleting the item supersedes the
+// job, see pendingUpload in models/galleryModel.js.
+defineJob("gallery:media", {
+  run: async ({ galleryId, upload, originalname, mimetype }) => {
+    const pending = { _id: galleryId, pendingUpload: upload };
+    if (!(await Gallery.exists(pending))) {
+      await storage.deleteObject(upload);
+      return;
+    }
+
+    const original = await storage.getObject(upload);
+    const isImage = mimetype.startsWith("image");
+    const { exif, location } = isImage ? await readExif(original) : {};
+    const buffer = isImage ? await decodableImage(original) : original;
+    const phash = isImage ? await imageHash(buffer) : undefined;
+    const media = await storeGalleryFile({ buffer, originalname, mimetype });
+
+    const current = await Gallery.findOne(pending).select(
+      "image variants poster hls monumentId"
+    );
+    // only applied while the item still waits for this upload, updateOne
+    // drops undefined values so the fields the new media lacks are unset
+    const update = {
+      $set: { mediaStatus: "ready" },
+      $unset: { pendingUpload: 1, mediaError: 1 },
+    };
+    for (const [field, value] of Object.entries({ ...media, exif, phash })) {
+      if (value === undefined) update.$unset[field] = 1;
+      else update.$set[field] = value;
+    }
+    const { matchedCount } = current
+      ? await Gallery.updateOne(pending, update)
+      : { matchedCount: 0 };
+
+    if (matchedCount == 0) {
+      await deleteGalleryMedia(media);
+    } else {
+      await deleteGalleryMedia(current);
+      await recordDuplicates("gallery", galleryId);
+      if (location) {
+        await suggestLocation({ _id: current.monumentId }, location);
+      }
+    }
+    await storage.deleteObject(upload);
+  },
+  fail: async ({ galleryId, upload }, error) => {
+    const pending = { _id: galleryId, pendingUpload: upload };
+    const failed = { mediaStatus: "failed", mediaError: error.message };
+    // a new item shows the error, a failed replacement leaves the previous
+    // media in place
+    const { matchedCount } = await Gallery.updateOne(
+      { ...pending, image: upload },
+      failed
+    );
+    await Gallery.updateOne(
+      { ...pending, image: { $ne: upload } },
+      { ...failed, $unset: { pendingUpload: 1 } }
+    );
+    if (matchedCount == 0) await storage.deleteObject(upload);
+  },
+});
+
+// A cover that changed without going through the worker, when a revision
+// is approved or a monument rolled back, gets its duplicates found here
+export const queueDuplicates = (kind, id) =>
+  enqueue("media:duplicates", { kind, id: String(id) });
+
+defineJob("media:duplicates", {
+  run: ({ kind, id }) => recordDuplicates(kind, id),
+});
@@ -0,0 +1,63 @@
+// Credit and licence metadata of a media item: gallery items carry it as
+// `rights`, monuments as `cover_rights` for their cover image.
+
+// Licences a contributor can choose from
+export const LICENCES = [
+  "cc-by",
+  "cc-by-sa",
+  "cc-by-nc",
+  "cc-by-nc-sa",
+  "cc0",
+  "public-domain",
+  "all-rights-reserved",
+];
+
+export const rightsFields = [
+  "credit",
+  "sourceUrl",
+  "licence",
+  "capturedAt",
+  "caption",
+];
+
+export class RightsError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Reads rights sent by a form (a JSON object, or multipart fields such as
+// rights[credit]). Empty fields are left out, undefined is returned when
+// nothing was filled in.
+export const toRights = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value != "object") {
+    throw new RightsError("rights must be an object");
+  }
+
+  const rights = {};
+  for (const field of rightsFields) {
+    const text = String(value[field] ?? "").trim();
+    if (text) rights[field] = text;
+  }
+
+  if (rights.licence && !LICENCES.includes(rights.licence)) {
+    throw new RightsError(`licence must be one of: ${LICENCES.join(", ")}`);
+  }
+  if (rights.sourceUrl && !/^https?:\/\/\S+$/i.test(rights.sourceUrl)) {
+    throw new RightsError("sourceUrl must be an http or https URL");
+  }
+  if (rights.capturedAt) {
+    const capturedAt = new Date(rights.capturedAt);
+    if (isNaN(capturedAt)) {
+      throw new RightsError("capturedAt must be a date");
+    }
+    if (capturedAt > new Date()) {
+      throw new RightsError("capturedAt can't be in the future");
+    }
+    rights.capturedAt = capturedAt;
+  }
+
+  return Object.keys(rights).length ? rights : undefined;
+};
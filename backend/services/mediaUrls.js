@@ -0,0 +1,109 @@
+import dotenv from "dotenv";
+import storage from "./storage/index.js";
+import { variantKey } from "./images.js";
+import { uploadPrefix } from "./mediaJobs.js";
+
+dotenv.config();
+
+// URLs handed to clients for stored media.
+//
+// With MEDIA_CDN_BASE_URL set, media is served from that public base (a CDN
+// or a public bucket) and nothing is signed. Otherwise URLs are signed by
+// the storage driver for MEDIA_URL_TTL seconds (default 3600) and reused
+// until shortly before they expire, so a client sees the same URL for the
+// same object and its browser cache keeps working.
+const cdnBaseUrl = (process.env.MEDIA_CDN_BASE_URL || "").replace(/\/$/, "");
+const ttl = Number(process.env.MEDIA_URL_TTL) || 3600;
+// a cached URL has at least this long left when it is handed out
+const refreshMargin = Math.min(300, ttl / 2);
+const maxCached = 10000;
+
+const cache = new Map();
+
+const cdnUrl = (key) =>
+  `${cdnBaseUrl}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+export const mediaUrl = async (key) => {
+  // raw uploads still carry their metadata, see services/exif.js
+  if (!key || key.startsWith(uploadPrefix)) return null;
+  if (cdnBaseUrl) return cdnUrl(key);
+
+  const now = Date.now();
+  const cached = cache.get(key);
+  if (cached && cached.refreshAt > now) return cached.url;
+
+  // the pending promise is cached, so concurrent requests sign only once
+  const url = storage.getObjectUrl(key, ttl);
+  cache.delete(key);
+  cache.set(key, { url, refreshAt: now + (ttl - refreshMargin) * 1000 });
+  if (cache.size > maxCached) cache.delete(cache.keys().next().value);
+
+  try {
+    return await url;
+  } catch (error) {
+    cache.delete(key);
+    throw error;
+  }
+};
+
+// URLs of an image stored with variants (see services/images.js), ready for
+// <picture>: { src, srcset: { webp, jpeg }, variants: { thumb: { width,
+// webp, jpeg }, ... } }. Null for images uploaded before variants existed.
+export const imageSet = async (key, variants) => {
+  if (!key || !variants) return null;
+
+  const urls = {};
+  await Promise.all(
+    Object.entries(variants).map(async ([size, width]) => {
+      const [webp, jpeg] = await Promise.all([
+        mediaUrl(variantKey(key, size, "webp")),
+        mediaUrl(variantKey(key, size, "jpeg")),
+      ]);
+      urls[size] = { width, webp, jpeg };
+    })
+  );
+
+  const srcset = (format) => {
+    const byWidth = new Map();
+    for (const variant of Object.values(urls)) {
+      if (!byWidth.has(variant.width)) byWidth.set(variant.width, variant);
+    }
+    return [...byWidth.values()]
+      .sort((a, b) => a.width - b.width)
+      .map((variant) => `${variant[format]} ${variant.width}w`)
+      .join(", ");
+  };
+
+  return {
+    src: (urls.card || urls.original).jpeg,
+    srcset: { webp: srcset("webp"), jpeg: srcset("jpeg") },
+    variants: urls,
+  };
+};
+
+// API path of the HLS master playlist of a gallery video
+export const hlsPath = (galleryItem) =>
+  `/public/gallery/${galleryItem._id}/hls/master.m3u8`;
+
+// the field holding the variant widths of each media field
+const variantFields = { cover_image: "cover_variants", image: "variants" };
+
+// Copies of `docs` with the URL of `field` added as `as`, its image set as
+// `imageSet` and the poster of a video as `posterUrl`, signed in parallel
+export const withMediaUrls = (docs, field = "cover_image", as = "imageUrl") =>
+  Promise.all(
+    docs.map(async (doc) => {
+      const [url, set, posterUrl] = await Promise.all([
+        mediaUrl(doc[field]),
+        imageSet(doc[field], doc[variantFields[field]]),
+        mediaUrl(doc.poster),
+      ]);
+      return {
+        ...(doc.toObject ? doc.toObject() : doc),
+        [as]: url,
+        imageSet: set,
+        ...(posterUrl && { posterUrl }),
+        ...(doc.hls && { hlsPath: hlsPath(doc) }),
+      };
+    })
+  );
@@ -0,0 +1,89 @@
+// Moderation workflow shared by everything contributors submit for review.
+//
+//   draft -> submitted -> approved -> archived
+//                     \-> changes_requested -> submitted
+//                     \-> rejected -> submitted
+//
+// Approved content goes back to submitted when its owner replaces it, like
+// the media of a gallery item.
+//
+// Each transition names who may perform it: the "owner" of the content or a
+// "reviewer" (any account with the monument:review permission).
+import { hasPermission } from "../auth/roles.js";
+
+export const STATES = [
+  "draft",
+  "submitted",
+  "changes_requested",
+  "approved",
+  "rejected",
+  "archived",
+];
+
+const transitions = {
+  draft: { submitted: "owner" },
+  submitted: {
+    draft: "owner",
+    approved: "reviewer",
+    changes_requested: "reviewer",
+    rejected: "reviewer",
+  },
+  changes_requested: { submitted: "owner", draft: "owner" },
+  rejected: { submitted: "owner", archived: "reviewer" },
+  approved: {
+    submitted: "owner",
+    changes_requested: "reviewer",
+    archived: "reviewer",
+  },
+  archived: { approved: "reviewer" },
+};
+
+// Reviewers have to tell the contributor why when sending something back
+const commentRequired = ["changes_requested", "rejected"];
+
+export class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const canTransition = (from, to) => Boolean(transitions[from]?.[to]);
+
+// Moves `doc` (anything with status and reviewLog) to state `to`, recording
+// who did it and why. The caller saves the document.
+export const transition = (doc, to, { account, isOwner, comment }) => {
+  const from = doc.status;
+  const actor = transitions[from]?.[to];
+
+  if (!STATES.includes(to)) {
+    throw new ModerationError(400, `Unknown status: ${to}`);
+  }
+  if (!actor) {
+    throw new ModerationError(409, `Cannot move from ${from} to ${to}`);
+  }
+  if (actor == "owner" && !isOwner) {
+    throw new ModerationError(403, "Forbidden: only the owner can do this");
+  }
+  if (actor == "reviewer" && !hasPermission(account, "monument:review")) {
+    throw new ModerationError(
+      403,
+      "Forbidden: monument:review permission is required"
+    );
+  }
+  if (actor == "reviewer" && commentRequired.includes(to) && !comment) {
+    throw new ModerationError(400, "send all required fields: comment");
+  }
+
+  doc.status = to;
+  if (to == "submitted") doc.submittedAt = new Date();
+  doc.reviewLog.push({
+    from,
+    to,
+    comment,
+    user: account._id,
+    at: new Date(),
+  });
+
+  return doc;
+};
@@ -0,0 +1,76 @@
+import { deleteImage } from "./images.js";
+import { editableFields } from "../models/monumentModel.js";
+import Revision from "../models/revisionModel.js";
+import { ensureBaseline, recordVersion } from "./versions.js";
+import { transition } from "./moderation.js";
+import { queueDuplicates } from "./mediaJobs.js";
+
+export const pickChanges = (body) => {
+  const changes = {};
+  for (const field of editableFields) {
+    changes[field] = body[field];
+  }
+  return changes;
+};
+
+// Copies the proposed values onto the monument and records the result as a
+// new version. Fields `changes` leaves out keep their value, null clears
+// one. The previous cover image is kept in storage, older versions still
+// reference it for rollback.
+export const applyChanges = async (monument, changes, userId, action) => {
+  await ensureBaseline(monument);
+
+  for (const field of editableFields) {
+    if (field in changes) monument[field] = changes[field] ?? undefined;
+  }
+  if (changes.cover_image) {
+    monument.cover_image = changes.cover_image;
+    monument.cover_variants = changes.cover_variants;
+    monument.cover_exif = changes.cover_exif;
+    monument.cover_phash = changes.cover_phash;
+    // the cover may still be in the job queue, see services/mediaJobs.js
+    monument.mediaStatus = changes.mediaStatus || "ready";
+    monument.mediaError = undefined;
+  }
+
+  const coverChanged = monument.isModified("cover_phash");
+  await monument.save();
+  await recordVersion(monument, userId, action);
+  if (coverChanged) await queueDuplicates("cover", monument._id);
+
+  return monument;
+};
+
+// Saves an edit by the owner of a monument. A verified monument stays live
+// with its current values, the edit is staged as a revision until an admin
+// approves it; the revision is returned then.
+export const saveChanges = async (monument, changes, account) => {
+  if (monument.status == "approved") {
+    return Revision.create({
+      monumentId: monument._id,
+      user: account._id,
+      // undefined isn't stored, a cleared field is kept as null
+      changes: Object.fromEntries(
+        Object.entries(changes).map(([field, value]) => [field, value ?? null])
+      ),
+    });
+  }
+
+  // Editing content a reviewer sent back puts it in the queue again
+  if (["changes_requested", "rejected"].includes(monument.status)) {
+    transition(monument, "submitted", {
+      account,
+      isOwner: true,
+      comment: "Resubmitted after edit",
+    });
+  }
+  await applyChanges(monument, changes, account._id, "update");
+  return null;
+};
+
+// Drops the cover image a rejected revision uploaded, it was never published
+export const discardChanges = async (changes) => {
+  if (changes.cover_image) {
+    await deleteImage(changes.cover_image, changes.cover_variants);
+  }
+};
@@ -0,0 +1,107 @@
+import Monument, { searchWeights } from "../models/monumentModel.js";
+
+const snippetRadius = 80;
+const maxSnippets = 3;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Splits a search string the way MongoDB reads it: "quoted phrases", words,
+// and -negated words which are left out of the highlighting.
+export const parseSearch = (q) => {
+  const phrases = [];
+  const terms = [];
+  const rest = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(phrase.trim());
+    return " ";
+  });
+  for (const word of rest.split(/\s+/)) {
+    if (word && !word.startsWith("-")) terms.push(word);
+  }
+  return { phrases: phrases.filter(Boolean), terms };
+};
+
+const highlighter = ({ phrases, terms }) => {
+  const patterns = [
+    ...phrases.map((phrase) => escapeRegExp(phrase).replace(/\s+/g, "\\s+")),
+    // text search is stemmed, so highlight words that start with a term
+    ...terms.map((term) => `${escapeRegExp(term)}\\w*`),
+  ];
+  if (patterns.length == 0) return null;
+  return new RegExp(`\\b(?:${patterns.join("|")})`, "gi");
+};
+
+// Cuts `text` around its first match and splits it into fragments, the
+// matching ones flagged so the client can highlight them without HTML.
+const snippetOf = (text, regex) => {
+  regex.lastIndex = 0;
+  const first = regex.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - snippetRadius);
+  const end = Math.min(text.length, first.index + snippetRadius * 2);
+  const excerpt = text.slice(start, end);
+
+  const fragments = [];
+  let last = 0;
+  regex.lastIndex = 0;
+  for (const match of excerpt.matchAll(regex)) {
+    if (match.index > last) {
+      fragments.push({ text: excerpt.slice(last, match.index), match: false });
+    }
+    fragments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < excerpt.length) {
+    fragments.push({ text: excerpt.slice(last), match: false });
+  }
+  if (start > 0) fragments.unshift({ text: "…", match: false });
+  if (end < text.length) fragments.push({ text: "…", match: false });
+
+  return fragments;
+};
+
+// Highlighted snippets of the best weighted fields that match the search
+export const buildSnippets = (monument, search) => {
+  const regex = highlighter(search);
+  if (!regex) return [];
+
+  const snippets = [];
+  const fields = Object.keys(searchWeights).sort(
+    (a, b) => searchWeights[b] - searchWeights[a]
+  );
+  for (const field of fields) {
+    if (!monument[field]) continue;
+    const fragments = snippetOf(monument[field], regex);
+    if (fragments) snippets.push({ field, fragments });
+    if (snippets.length == maxSnippets) break;
+  }
+  return snippets;
+};
+
+// One page of monuments matching `q`, most relevant first
+export const searchMonuments = async (q, filter, { page, limit }) => {
+  const query = { ...filter, $text: { $search: q } };
+  const score = { score: { $meta: "textScore" } };
+
+  const [items, total] = await Promise.all([
+    Monument.find(query, score)
+      .sort({ ...score, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Monument.countDocuments(query),
+  ]);
+
+  const search = parseSearch(q);
+  const results = items.map((monument) => ({
+    ...monument.toObject(),
+    snippets: buildSnippets(monument, search),
+  }));
+
+  return {
+    items: results,
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+  };
+};
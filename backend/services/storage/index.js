@@ -0,0 +1,44 @@
+import dotenv from "dotenv";
+import createS3Driver from "./s3Driver.js";
+import createLocalDriver from "./localDriver.js";
+
+dotenv.config();
+
+// Media storage shared by every route. The driver is picked with
+// STORAGE_DRIVER:
+//   s3    - AWS S3 (AWS_ACCESS_KEY, AWS_SECRET_ACCESS_KEY, AWS_BUCKET_NAME,
+//           AWS_BUCKET_REGION)
+//   minio - any S3-compatible endpoint, same variables plus AWS_ENDPOINT
+//   local - files under LOCAL_STORAGE_ROOT (default "uploads"), served by
+//           express.static at LOCAL_STORAGE_BASE_URL
+const createDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || "s3";
+
+  switch (driverName) {
+    case "s3":
+    case "minio":
+      if (driverName === "minio" && !process.env.AWS_ENDPOINT) {
+        throw new Error("STORAGE_DRIVER=minio requires AWS_ENDPOINT");
+      }
+      return createS3Driver({
+        accessKeyId: process.env.AWS_ACCESS_KEY,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        region: process.env.AWS_BUCKET_REGION,
+        bucket: process.env.AWS_BUCKET_NAME,
+        endpoint: process.env.AWS_ENDPOINT,
+      });
+    case "local":
+      return createLocalDriver({
+        root: process.env.LOCAL_STORAGE_ROOT || "uploads",
+        baseUrl:
+          process.env.LOCAL_STORAGE_BASE_URL ||
+          `http://localhost:${process.env.PORT}`,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+  }
+};
+
+const storage = createDriver();
+
+export default storage;
@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Driver that keeps media on the local filesystem. Files are written under
+// `root` (the directory index.js serves with express.static) and addressed
+// by `baseUrl`, so no cloud credentials are needed in dev or tests.
+const createLocalDriver = ({ root, baseUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const putObject = async (key, body) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return key;
+  };
+
+  const getObject = (key) => fs.readFile(resolveKey(key));
+
+  // Local files never expire, `expiresIn` is accepted for API parity only.
+  const getObjectUrl = async (key) => {
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${baseUrl.replace(/\/$/, "")}/${encodedKey}`;
+  };
+
+  const deleteObject = async (key) => {
+    try {
+      await fs.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  };
+
+  // Every stored file under `prefix` as { key, lastModified }
+  const listObjects = async function* (prefix = "") {
+    const walk = async function* (dir) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(filePath);
+          continue;
+        }
+        const key = path.relative(root, filePath).split(path.sep).join("/");
+        if (!key.startsWith(prefix)) continue;
+        const { mtime } = await fs.stat(filePath);
+        yield { key, lastModified: mtime };
+      }
+    };
+    yield* walk(path.resolve(root));
+  };
+
+  return {
+    name: "local",
+    putObject,
+    getObject,
+    getObjectUrl,
+    deleteObject,
+    listObjects,
+  };
+};
+
+export default createLocalDriver;
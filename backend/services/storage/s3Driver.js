@@ -0,0 +1,84 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// Driver for AWS S3 and S3-compatible endpoints (e.g. a local MinIO).
+// Passing an `endpoint` switches the client to path-style addressing,
+// which is what most self-hosted S3 implementations expect.
+const createS3Driver = ({
+  accessKeyId,
+  secretAccessKey,
+  region,
+  bucket,
+  endpoint,
+}) => {
+  const s3 = new S3Client({
+    credentials: {
+      accessKeyId,
+      secretAccessKey,
+    },
+    region,
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+  });
+
+  const putObject = async (key, body, contentType) => {
+    const command = new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    });
+    await s3.send(command);
+    return key;
+  };
+
+  const getObject = async (key) => {
+    const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+    const { Body } = await s3.send(command);
+    return Buffer.from(await Body.transformToByteArray());
+  };
+
+  const getObjectUrl = async (key, expiresIn = 3600) => {
+    const command = new GetObjectCommand({ Bucket: bucket, Key: key });
+    return getSignedUrl(s3, command, { expiresIn });
+  };
+
+  const deleteObject = async (key) => {
+    const command = new DeleteObjectCommand({ Bucket: bucket, Key: key });
+    await s3.send(command);
+  };
+
+  // Every stored object under `prefix` as { key, lastModified }, fetched a
+  // page at a time
+  const listObjects = async function* (prefix = "") {
+    let ContinuationToken;
+    do {
+      const command = new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken,
+      });
+      const page = await s3.send(command);
+      for (const object of page.Contents || []) {
+        yield { key: object.Key, lastModified: object.LastModified };
+      }
+      ContinuationToken = page.NextContinuationToken;
+    } while (ContinuationToken);
+  };
+
+  return {
+    name: endpoint ? "s3-compatible" : "s3",
+    putObject,
+    getObject,
+    getObjectUrl,
+    deleteObject,
+    listObjects,
+  };
+};
+
+export default createS3Driver;
@@ -0,0 +1,117 @@
+import dotenv from "dotenv";
+import Monument from "../models/monumentModel.js";
+import Gallery from "../models/galleryModel.js";
+import Revision from "../models/revisionModel.js";
+import { deleteImage } from "./images.js";
+import { deleteGalleryMedia } from "./galleryMedia.js";
+import { discardChanges } from "./revisions.js";
+import { deleteVersions } from "./versions.js";
+import { forgetDuplicates } from "./duplicates.js";
+
+dotenv.config();
+
+// Days a trashed monument is kept before its documents and media are purged
+export const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+export const purgeDate = (trashedAt) =>
+  new Date(trashedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+
+// Number of gallery items that go with each monument to the trash and out
+// of it, set as `galleryCount` on the plain monument objects
+export const withGalleryCounts = async (monuments) => {
+  const counts = await Gallery.aggregate([
+    { $match: { monumentId: { $in: monuments.map(({ _id }) => _id) } } },
+    { $group: { _id: "$monumentId", count: { $sum: 1 } } },
+  ]);
+  const byMonument = new Map(counts.map(({ _id, count }) => [`${_id}`, count]));
+  return monuments.map((monument) => ({
+    ...monument,
+    galleryCount: byMonument.get(`${monument._id}`) || 0,
+  }));
+};
+
+// Hides a monument and its gallery items from every listing. The monument
+// goes first, public routes hide the gallery of a trashed monument anyway.
+// Returns the number of gallery items trashed with it.
+export const trashMonument = async (monument) => {
+  const trashedAt = new Date();
+
+  monument.trash = trashedAt;
+  await monument.save();
+  const { modifiedCount } = await Gallery.updateMany(
+    { monumentId: monument._id, trash: null },
+    { trash: trashedAt }
+  );
+  return modifiedCount;
+};
+
+// The gallery comes back first, so it is never left in the trash behind a
+// restored monument. Returns the number of gallery items restored.
+export const restoreMonument = async (monument) => {
+  const { modifiedCount } = await Gallery.updateMany(
+    { monumentId: monument._id, trash: { $ne: null } },
+    { trash: null }
+  );
+  monument.trash = null;
+  await monument.save();
+  return modifiedCount;
+};
+
+// Permanently deletes a monument with its gallery, revisions, history and
+// every stored object they reference. Documents are deleted before their
+// media, so an interrupted purge leaves orphaned objects for
+// scripts/collectMedia.js rather than items pointing at missing files.
+// Returns the number of gallery items deleted.
+export const purgeMonument = async (monument) => {
+  const galleryItems = await Gallery.find({ monumentId: monument._id });
+  await Gallery.deleteMany({ monumentId: monument._id });
+  await forgetDuplicates(
+    "gallery",
+    galleryItems.map((galleryItem) => galleryItem._id)
+  );
+  for (const galleryItem of galleryItems) {
+    await deleteGalleryMedia(galleryItem);
+  }
+
+  const revisions = await Revision.find({
+    monumentId: monument._id,
+    status: "pending",
+  });
+  for (const revision of revisions) {
+    await discardChanges(revision.changes);
+  }
+  await Revision.deleteMany({ monumentId: monument._id });
+
+  await Monument.deleteOne({ _id: monument._id });
+  await forgetDuplicates("cover", [monument._id]);
+  await deleteImage(monument.cover_image, monument.cover_variants);
+  await deleteVersions(monument._id);
+  return galleryItems.length;
+};
+
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const monuments = await Monument.find({ trash: { $lt: cutoff } });
+
+  for (const monument of monuments) {
+    try {
+      await purgeMonument(monument);
+    } catch (error) {
+      console.error(`Error purging monument ${monument._id}:`, error.message);
+    }
+  }
+  return monuments.length;
+};
+
+// Runs the purge once an hour for as long as the server is up
+export const scheduleTrashPurge = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((count) => {
+        if (count) console.log(`purged ${count} monuments from the trash`);
+      })
+      .catch((error) => console.error(error.message));
+
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+};
@@ -0,0 +1,177 @@
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import multer from "multer";
+
+dotenv.config();
+
+// Checks on uploaded media. The type of a file is read from its first
+// bytes, the name and type sent by the client are only used for the error
+// messages. Sizes are limited per kind: MAX_IMAGE_SIZE (default 20 MB) for
+// images, MAX_UPLOAD_SIZE (default 100 MB) for anything, so for videos.
+export const maxUploadSize =
+  Number(process.env.MAX_UPLOAD_SIZE) || 100 * 1048576;
+export const maxImageSize = Math.min(
+  Number(process.env.MAX_IMAGE_SIZE) || 20 * 1048576,
+  maxUploadSize
+);
+
+export class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Accepted formats. HEIC photos from phones are converted to JPEG by the
+// worker, see services/images.js.
+export const mediaTypes = {
+  jpeg: { kind: "image", mimetype: "image/jpeg", extension: ".jpg" },
+  png: { kind: "image", mimetype: "image/png", extension: ".png" },
+  gif: { kind: "image", mimetype: "image/gif", extension: ".gif" },
+  webp: { kind: "image", mimetype: "image/webp", extension: ".webp" },
+  avif: { kind: "image", mimetype: "image/avif", extension: ".avif" },
+  heic: { kind: "image", mimetype: "image/heic", extension: ".heic" },
+  mp4: { kind: "video", mimetype: "video/mp4", extension: ".mp4" },
+  mov: { kind: "video", mimetype: "video/quicktime", extension: ".mov" },
+  webm: { kind: "video", mimetype: "video/webm", extension: ".webm" },
+};
+
+// bytes of the start of a file sniffType needs
+export const sniffLength = 64;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] == byte);
+
+const ascii = (buffer, start, end) =>
+  buffer.subarray(start, end).toString("latin1");
+
+// major brands of the MP4 videos browsers play
+const mp4Brands = ["isom", "iso2", "mp41", "mp42", "avc1", "M4V "];
+
+// ISO base media files (MP4, MOV, HEIC, AVIF) start with an "ftyp" box
+// naming the major brand and the compatible ones
+const ftypType = (buffer) => {
+  if (ascii(buffer, 4, 8) != "ftyp") return null;
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+
+  if (brands.some((brand) => ["avif", "avis"].includes(brand))) return "avif";
+  if (
+    brands.some((brand) =>
+      ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"].includes(
+        brand
+      )
+    )
+  ) {
+    return "heic";
+  }
+  // the major brand tells the kind of file: M4A and M4B audio, 3GP and
+  // other players' formats list the video brands as compatible too
+  if (brands[0] == "qt  ") return "mov";
+  return mp4Brands.includes(brands[0]) ? "mp4" : null;
+};
+
+// Format of the file starting with `buffer`, a key of mediaTypes, or null
+// when it isn't one of them
+export const sniffType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "png";
+  }
+  if (["GIF87a", "GIF89a"].includes(ascii(buffer, 0, 6))) return "gif";
+  if (ascii(buffer, 0, 4) == "RIFF" && ascii(buffer, 8, 12) == "WEBP") {
+    return "webp";
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return "webm";
+  if (buffer.length >= 12) return ftypType(buffer);
+  return null;
+};
+
+const megabytes = (bytes) => `${Math.round((bytes / 1048576) * 10) / 10} MB`;
+
+const acceptedNames = (kinds) =>
+  Object.entries(mediaTypes)
+    .filter(([, type]) => kinds.includes(type.kind))
+    .map(([name]) => name.toUpperCase())
+    .join(", ");
+
+// Checks an upload of `size` bytes starting with `head` against `kinds`.
+// Returns its type from mediaTypes, throws an UploadError with status 415
+// for other formats and 413 when it is too big for its kind.
+export const checkMedia = (
+  { head, size, originalname },
+  kinds = ["image", "video"]
+) => {
+  const type = mediaTypes[sniffType(head)];
+  if (!type || !kinds.includes(type.kind)) {
+    throw new UploadError(
+      `${originalname || "File"} is not a supported file, upload ${acceptedNames(kinds)}`,
+      415
+    );
+  }
+
+  const limit = type.kind == "image" ? maxImageSize : maxUploadSize;
+  if (size > limit) {
+    throw new UploadError(
+      `${originalname || "File"} is too big, ${type.kind}s can be at most ${megabytes(limit)}`,
+      413
+    );
+  }
+  return type;
+};
+
+// the first sniffLength bytes of the file at `filePath`
+export const readHead = async (filePath) => {
+  const file = await fs.open(filePath);
+  try {
+    const { buffer, bytesRead } = await file.read(
+      Buffer.alloc(sniffLength),
+      0,
+      sniffLength,
+      0
+    );
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+};
+
+// A multer file, kept in memory or written to `path`, checked with
+// checkMedia. Resolves with its mimetype and extension set to the detected
+// format.
+export const checkFile = async (file, kinds) => {
+  const head = file.buffer || (await readHead(file.path));
+  const type = checkMedia(
+    { head, size: file.size, originalname: file.originalname },
+    kinds
+  );
+  return {
+    ...file,
+    originalname:
+      path.basename(file.originalname, path.extname(file.originalname)) +
+      type.extension,
+    mimetype: type.mimetype,
+  };
+};
+
+const multerStatus = { LIMIT_FILE_SIZE: 413, LIMIT_FILE_COUNT: 413 };
+
+// Runs a multer middleware, answering its errors (a file over the limit, an
+// unexpected field) as 413 or 400 instead of passing them on as a 500.
+// `maxSize` is the fileSize limit the middleware was configured with.
+export const receiveFiles =
+  (middleware, maxSize) => (request, response, next) =>
+    middleware(request, response, (error) => {
+      if (!(error instanceof multer.MulterError)) return next(error);
+
+      const message =
+        error.code == "LIMIT_FILE_SIZE"
+          ? `${error.field} is too big, files can be at most ${megabytes(maxSize)}`
+          : `${error.message}${error.field ? `: ${error.field}` : ""}`;
+      return response.status(multerStatus[error.code] || 400).send({ message });
+    });
@@ -0,0 +1,92 @@
+import MonumentVersion from "../models/monumentVersionModel.js";
+import { deleteImage } from "./images.js";
+import { editableFields } from "../models/monumentModel.js";
+
+export const versionedFields = [
+  ...editableFields,
+  "cover_image",
+  "cover_variants",
+  "cover_exif",
+  "cover_phash",
+];
+// kept in snapshots for rollback, they only change along with cover_image
+const hiddenFields = ["cover_variants", "cover_exif", "cover_phash"];
+
+const takeSnapshot = (monument) => {
+  const snapshot = {};
+  for (const field of versionedFields) {
+    snapshot[field] = monument[field] ?? null;
+  }
+  return snapshot;
+};
+
+// Field level differences between two snapshots
+export const diffSnapshots = (from, to) => {
+  const changes = [];
+  for (const field of versionedFields) {
+    if (hiddenFields.includes(field)) continue;
+    const before = from ? (from[field] ?? null) : null;
+    const after = to[field] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, from: before, to: after });
+    }
+  }
+  return changes;
+};
+
+const latestVersion = (monumentId) =>
+  MonumentVersion.findOne({ monumentId }).sort({ version: -1 });
+
+// Snapshots the monument as it is before its first recorded change, so
+// monuments created before history was kept don't lose their old values.
+export const ensureBaseline = async (monument) => {
+  const latest = await latestVersion(monument._id);
+  if (latest) return;
+
+  await MonumentVersion.create({
+    monumentId: monument._id,
+    version: 1,
+    action: "baseline",
+    snapshot: takeSnapshot(monument),
+    user: monument.user,
+  });
+};
+
+// Records the saved state of a monument as its next version. Saves that
+// didn't change anything are not recorded.
+export const recordVersion = async (monument, userId, action, extra = {}) => {
+  const latest = await latestVersion(monument._id);
+  const snapshot = takeSnapshot(monument);
+  const changedFields = diffSnapshots(latest?.snapshot, snapshot).map(
+    (change) => change.field
+  );
+
+  if (latest && changedFields.length == 0) return latest;
+
+  return MonumentVersion.create({
+    monumentId: monument._id,
+    version: latest ? latest.version + 1 : 1,
+    action,
+    snapshot,
+    changedFields,
+    user: userId,
+    ...extra,
+  });
+};
+
+// Removes the whole history of a monument along with every cover image it
+// ever referenced
+export const deleteVersions = async (monumentId) => {
+  const versions = await MonumentVersion.find({ monumentId });
+  const coverImages = new Map();
+  for (const { snapshot } of versions) {
+    if (snapshot.cover_image) {
+      coverImages.set(snapshot.cover_image, snapshot.cover_variants);
+    }
+  }
+
+  await MonumentVersion.deleteMany({ monumentId });
+  for (const [key, variants] of coverImages) {
+    await deleteImage(key, variants);
+  }
+};
@@ -0,0 +1,209 @@
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegPath from "ffmpeg-static";
+import sharp from "sharp";
+import storage from "./storage/index.js";
+
+// Gallery videos are re-encoded to an MP4 every browser plays: H.264 main
+// profile and AAC stereo, at most 720p and about 2.5 Mbit/s, with the index
+// at the start of the file so playback starts before it is fully loaded.
+// Metadata of the upload, GPS position included, is not copied.
+// FFMPEG_PATH overrides the binary shipped with ffmpeg-static.
+//
+// With VIDEO_HLS=true, videos of at least HLS_MIN_DURATION seconds (default
+// 60) are also cut into HLS renditions for adaptive streaming. They are
+// stored under "<video>-hls/" and served through GET /public/gallery/:id/hls
+// so their segments can be signed like any other media.
+ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegPath);
+
+const maxHeight = 720;
+const posterWidth = 1280;
+
+const hlsEnabled = process.env.VIDEO_HLS == "true";
+const hlsMinDuration = Number(process.env.HLS_MIN_DURATION ?? 60);
+const renditions = [
+  { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: "540p", height: 540, videoBitrate: 1400, audioBitrate: 128 },
+  { name: "720p", height: 720, videoBitrate: 2500, audioBitrate: 128 },
+];
+const hlsContentTypes = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+};
+
+// "00:01:02.50" -> 62.5. Streamed and fragmented inputs report "N/A",
+// their length is unknown and taken as 0.
+const toSeconds = (timemark) => {
+  const seconds = String(timemark)
+    .split(":")
+    .reduce((total, part) => total * 60 + Number(part), 0);
+  return Number.isFinite(seconds) ? seconds : 0;
+};
+
+const run = (command) =>
+  new Promise((resolve, reject) => {
+    let codecData;
+    command
+      .on("codecData", (data) => (codecData = data))
+      .on("error", reject)
+      .on("end", () => resolve(codecData))
+      .run();
+  });
+
+const transcode = (input, output) =>
+  run(
+    ffmpeg(input)
+      .videoCodec("libx264")
+      .audioCodec("aac")
+      .outputOptions([
+        "-preset veryfast",
+        "-crf 23",
+        "-maxrate 2500k",
+        "-bufsize 5000k",
+        `-vf scale=-2:'min(${maxHeight},ih)'`,
+        "-pix_fmt yuv420p",
+        "-profile:v main",
+        "-b:a 128k",
+        "-ac 2",
+        "-movflags +faststart",
+        "-map_metadata -1",
+      ])
+      .format("mp4")
+      .output(output)
+  );
+
+const extractFrame = (input, output, at) =>
+  run(ffmpeg(input).seekInput(at).frames(1).output(output));
+
+// Storage key of the poster frame of the video stored at `key`
+export const posterKey = (key) => `${key.replace(/\.[^.]+$/, "")}-poster.jpg`;
+
+const segmentRendition = (input, dir, rendition) =>
+  run(
+    ffmpeg(input)
+      .videoCodec("libx264")
+      .audioCodec("aac")
+      .outputOptions([
+        "-preset veryfast",
+        `-vf scale=-2:${rendition.height}`,
+        `-b:v ${rendition.videoBitrate}k`,
+        `-maxrate ${Math.round(rendition.videoBitrate * 1.1)}k`,
+        `-bufsize ${rendition.videoBitrate * 2}k`,
+        "-pix_fmt yuv420p",
+        "-profile:v main",
+        // keyframes every 2 seconds so segments can start on one
+        "-force_key_frames expr:gte(t,n_forced*2)",
+        "-sc_threshold 0",
+        `-b:a ${rendition.audioBitrate}k`,
+        "-ac 2",
+        "-hls_time 6",
+        "-hls_playlist_type vod",
+        `-hls_segment_filename ${path.join(dir, `${rendition.name}_%03d.ts`)}`,
+      ])
+      .output(path.join(dir, `${rendition.name}.m3u8`))
+  );
+
+// Master playlist listing the renditions of `hls`
+export const masterPlaylist = (hls) =>
+  [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...hls.renditions.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+      `${rendition.name}.m3u8`,
+    ]),
+    "",
+  ].join("\n");
+
+// Cuts the transcoded video into every rendition up to its own height and
+// stores playlists and segments under `<key>-hls/`. Returns the `hls`
+// description and the text of each rendition playlist.
+const storeHls = async (input, key, { width, height }) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hls-"));
+  try {
+    const prefix = `${key.replace(/\.[^.]+$/, "")}-hls/`;
+    const hls = { prefix, renditions: [], files: [] };
+    const playlists = {};
+
+    const heights = renditions.filter(
+      (rendition) => rendition.height <= height
+    );
+    for (const rendition of heights.length ? heights : [renditions[0]]) {
+      await segmentRendition(input, dir, rendition);
+      hls.renditions.push({
+        name: rendition.name,
+        width: Math.round((width * rendition.height) / height / 2) * 2,
+        height: rendition.height,
+        bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+      });
+      playlists[`${rendition.name}.m3u8`] = await fs.readFile(
+        path.join(dir, `${rendition.name}.m3u8`),
+        "utf8"
+      );
+    }
+    await fs.writeFile(path.join(dir, "master.m3u8"), masterPlaylist(hls));
+
+    for (const file of await fs.readdir(dir)) {
+      await storage.putObject(
+        prefix + file,
+        await fs.readFile(path.join(dir, file)),
+        hlsContentTypes[path.extname(file)]
+      );
+      hls.files.push(file);
+    }
+
+    return { hls, hlsPlaylists: playlists };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Every stored key of the HLS renditions of a video
+export const hlsKeys = (hls) =>
+  hls ? hls.files.map((file) => hls.prefix + file) : [];
+
+// Transcodes `buffer`, stores the MP4 at `key` and a poster JPEG next to it,
+// plus HLS renditions when enabled. Returns the poster key, the duration in
+// seconds, the resolution and the `hls` description with its playlists.
+export const storeVideo = async (buffer, key) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "video-"));
+  try {
+    const input = path.join(dir, "input");
+    const output = path.join(dir, "output.mp4");
+    const frame = path.join(dir, "poster.jpg");
+    await fs.writeFile(input, buffer);
+
+    const codecData = await transcode(input, output);
+    const duration = codecData ? toSeconds(codecData.duration) : 0;
+
+    // a frame a second in skips the fade-in most clips start with
+    await extractFrame(output, frame, Math.min(1, duration / 2));
+    // the frame has the size of the transcoded video
+    const { width, height } = await sharp(frame).metadata();
+    const poster = await sharp(frame)
+      .resize({ width: posterWidth, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    await storage.putObject(key, await fs.readFile(output), "video/mp4");
+    await storage.putObject(posterKey(key), poster, "image/jpeg");
+
+    const { hls, hlsPlaylists } =
+      hlsEnabled && duration >= hlsMinDuration
+        ? await storeHls(output, key, { width, height })
+        : {};
+
+    return {
+      poster: posterKey(key),
+      duration: Math.round(duration * 10) / 10,
+      width,
+      height,
+      hls,
+      hlsPlaylists,
+    };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
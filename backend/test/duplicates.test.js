@@ -0,0 +1,70 @@
+// Checks DUPLICATE_MAX_DISTANCE against real photos: every copy the site
+// or a user might make of a photo has to be found, different photos must
+// not be. Run with `npm test`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import sharp from "sharp";
+import {
+  imageHash,
+  hashDistance,
+  maxDistance,
+} from "../services/duplicates.js";
+
+// photos of the fixtures directory, each of a different monument
+const photos = [
+  "hampi.jpg",
+  "martijn-vonk.jpg",
+  "saj-shafique.jpg",
+  "jack-b.jpg",
+  "tolu-olubode.jpg",
+  "setu-chhaya.jpg",
+];
+
+// the sizes and formats of services/images.js, and what a user re-uploading
+// a downloaded copy would send
+const copies = {
+  "resized jpeg": (image) => image.resize({ width: 800 }).jpeg(),
+  "thumbnail jpeg": (image) => image.resize({ width: 320 }).jpeg(),
+  "low quality jpeg": (image) => image.jpeg({ quality: 40 }),
+  webp: (image) => image.webp({ quality: 75 }),
+  "resized webp": (image) => image.resize({ width: 640 }).webp({ quality: 50 }),
+  "thumbnail webp": (image) => image.resize({ width: 320 }).webp(),
+  "resized png": (image) => image.resize({ width: 500 }).png(),
+};
+
+const originals = await Promise.all(
+  photos.map((photo) =>
+    fs.readFile(new URL(`fixtures/${photo}`, import.meta.url))
+  )
+);
+const hashes = await Promise.all(originals.map(imageHash));
+
+test("copies of a photo are duplicates", async () => {
+  for (const [index, original] of originals.entries()) {
+    for (const [name, copy] of Object.entries(copies)) {
+      const buffer = await copy(sharp(original).rotate()).toBuffer();
+      const distance = hashDistance(hashes[index], await imageHash(buffer));
+      assert.ok(
+        distance <= maxDistance,
+        `${name} of ${photos[index]} is ${distance} bits away`
+      );
+    }
+  }
+});
+
+test("different photos are not duplicates", () => {
+  for (let a = 0; a < hashes.length; a++) {
+    for (let b = a + 1; b < hashes.length; b++) {
+      const distance = hashDistance(hashes[a], hashes[b]);
+      assert.ok(
+        distance > maxDistance,
+        `${photos[a]} and ${photos[b]} are ${distance} bits apart`
+      );
+    }
+  }
+});
+
+test("hashes are 16 hex digits", () => {
+  for (const hash of hashes) assert.match(hash, /^[0-9a-f]{16}$/);
+});
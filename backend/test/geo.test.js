@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readPoint, toPoint, queryBbox, GeoError } from "../services/geo.js";
+
+const hampi = { type: "Point", coordinates: [76.46, 15.33] };
+
+test("readPoint reads text, lat/lng objects and GeoJSON", () => {
+  assert.deepEqual(readPoint("15.33,76.46"), hampi);
+  assert.deepEqual(readPoint(" 15.33 , 76.46 "), hampi);
+  assert.deepEqual(readPoint({ lat: "15.33", lng: 76.46 }), hampi);
+  assert.deepEqual(readPoint(hampi), hampi);
+});
+
+test("readPoint returns null for anything else", () => {
+  for (const value of [
+    null,
+    "",
+    "15.33",
+    "15.33,",
+    "15.33,76.46,10",
+    "north,east",
+    "91,0",
+    "0,181",
+    { lat: 15.33 },
+    { type: "Point", coordinates: "15,76" },
+  ]) {
+    assert.equal(readPoint(value), null, JSON.stringify(value));
+  }
+});
+
+test("toPoint clears on empty values", () => {
+  for (const value of [undefined, null, ""]) {
+    assert.equal(toPoint(value), undefined);
+  }
+  assert.deepEqual(toPoint("15.33,76.46"), hampi);
+});
+
+test("toPoint refuses invalid coordinates", () => {
+  for (const value of ["15.33", "-91,0", "0,-181", "a,b"]) {
+    assert.throws(
+      () => toPoint(value),
+      (error) => error instanceof GeoError && error.status == 400
+    );
+  }
+});
+
+test("queryBbox splits a box across the antimeridian", () => {
+  assert.deepEqual(queryBbox({ bbox: "70,10,80,20" }), [
+    [
+      [70, 10],
+      [80, 20],
+    ],
+  ]);
+  assert.deepEqual(queryBbox({ bbox: "170,-10,-170,10" }), [
+    [
+      [170, -10],
+      [180, 10],
+    ],
+    [
+      [-180, -10],
+      [-170, 10],
+    ],
+  ]);
+  for (const bbox of [undefined, "1,2,3", "10,20,10,30", "0,20,10,10"]) {
+    assert.throws(() => queryBbox({ bbox }), GeoError);
+  }
+});
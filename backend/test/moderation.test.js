@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  transition,
+  canTransition,
+  ModerationError,
+} from "../services/moderation.js";
+
+const contributor = { _id: "contributor", type: "contributor" };
+const reviewer = { _id: "reviewer", type: "reviewer" };
+
+const doc = (status) => ({ status, reviewLog: [] });
+
+const refuses = (action, status) =>
+  assert.throws(
+    action,
+    (error) => error instanceof ModerationError && error.status == status
+  );
+
+test("the owner submits a draft", () => {
+  const monument = transition(doc("draft"), "submitted", {
+    account: contributor,
+    isOwner: true,
+  });
+  assert.equal(monument.status, "submitted");
+  assert.ok(monument.submittedAt instanceof Date);
+  assert.deepEqual(
+    monument.reviewLog.map(({ from, to, user }) => ({ from, to, user })),
+    [{ from: "draft", to: "submitted", user: "contributor" }]
+  );
+});
+
+test("a reviewer approves a submission", () => {
+  const monument = transition(doc("submitted"), "approved", {
+    account: reviewer,
+    comment: "Looks good",
+  });
+  assert.equal(monument.status, "approved");
+  assert.equal(monument.reviewLog[0].comment, "Looks good");
+});
+
+test("contributors can't do a reviewer's transitions", () => {
+  refuses(
+    () =>
+      transition(doc("submitted"), "approved", {
+        account: contributor,
+        isOwner: true,
+      }),
+    403
+  );
+});
+
+test("only the owner submits", () => {
+  refuses(
+    () =>
+      transition(doc("draft"), "submitted", {
+        account: reviewer,
+        isOwner: false,
+      }),
+    403
+  );
+});
+
+test("sending content back needs a comment", () => {
+  for (const status of ["changes_requested", "rejected"]) {
+    refuses(
+      () => transition(doc("submitted"), status, { account: reviewer }),
+      400
+    );
+  }
+});
+
+test("transitions outside the workflow are refused", () => {
+  refuses(
+    () => transition(doc("draft"), "approved", { account: reviewer }),
+    409
+  );
+  refuses(
+    () => transition(doc("submitted"), "published", { account: reviewer }),
+    400
+  );
+  assert.equal(canTransition("archived", "submitted"), false);
+  assert.equal(canTransition("approved", "submitted"), true);
+});
+
+test("a refused transition leaves the document unchanged", () => {
+  const monument = doc("draft");
+  refuses(() => transition(monument, "approved", { account: reviewer }), 409);
+  assert.equal(monument.status, "draft");
+  assert.deepEqual(monument.reviewLog, []);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  sniffType,
+  checkMedia,
+  checkFile,
+  readHead,
+  sniffLength,
+  maxImageSize,
+  UploadError,
+} from "../services/uploadChecks.js";
+
+const jpeg = await fs.readFile(new URL("fixtures/hampi.jpg", import.meta.url));
+
+// an ISO media file with an ftyp box of `brands`, major brand first
+const ftyp = (major, ...compatible) => {
+  const box = Buffer.alloc(16 + compatible.length * 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write("ftyp", 4, "latin1");
+  box.write(major, 8, "latin1");
+  compatible.forEach((brand, index) =>
+    box.write(brand, 16 + index * 4, "latin1")
+  );
+  return box;
+};
+
+const refused = (status) => (error) =>
+  error instanceof UploadError && error.status == status;
+
+test("formats are read from the first bytes", () => {
+  assert.equal(sniffType(jpeg), "jpeg");
+  assert.equal(sniffType(Buffer.from("89504e470d0a1a0a0000", "hex")), "png");
+  assert.equal(sniffType(Buffer.from("GIF89a")), "gif");
+  assert.equal(sniffType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")), "webp");
+  assert.equal(sniffType(Buffer.from("1a45dfa3", "hex")), "webm");
+  assert.equal(sniffType(Buffer.from("<svg></svg>")), null);
+});
+
+test("ISO media files go by their major brand", () => {
+  assert.equal(sniffType(ftyp("isom", "isom", "avc1")), "mp4");
+  assert.equal(sniffType(ftyp("mp42", "mp41")), "mp4");
+  assert.equal(sniffType(ftyp("M4V ", "mp42")), "mp4");
+  assert.equal(sniffType(ftyp("qt  ", "qt  ")), "mov");
+  assert.equal(sniffType(ftyp("heic", "mif1", "heic")), "heic");
+  assert.equal(sniffType(ftyp("mif1", "avif")), "avif");
+  // audio and 3GP list video brands as compatible
+  assert.equal(sniffType(ftyp("M4A ", "M4A ", "mp42", "isom")), null);
+  assert.equal(sniffType(ftyp("3gp4", "isom")), null);
+});
+
+test("checkMedia refuses other formats and kinds with 415", () => {
+  assert.throws(
+    () => checkMedia({ head: Buffer.from("%PDF-1.7"), size: 10 }),
+    refused(415)
+  );
+  assert.throws(
+    () => checkMedia({ head: ftyp("isom"), size: 10 }, ["image"]),
+    refused(415)
+  );
+  assert.equal(checkMedia({ head: jpeg, size: jpeg.length }).kind, "image");
+});
+
+test("checkMedia limits sizes per kind with 413", () => {
+  assert.throws(
+    () => checkMedia({ head: jpeg, size: maxImageSize + 1 }),
+    refused(413)
+  );
+  assert.equal(
+    checkMedia({ head: ftyp("isom"), size: maxImageSize + 1 }).kind,
+    "video"
+  );
+});
+
+test("checkFile names the file after its content", async () => {
+  const checked = await checkFile({
+    buffer: jpeg,
+    size: jpeg.length,
+    originalname: "hampi.png",
+    mimetype: "image/png",
+  });
+  assert.equal(checked.originalname, "hampi.jpg");
+  assert.equal(checked.mimetype, "image/jpeg");
+});
+
+test("files on disk are checked from their first bytes", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "upload-checks-"));
+  try {
+    const filePath = path.join(dir, "upload");
+    await fs.writeFile(filePath, jpeg);
+    assert.deepEqual(await readHead(filePath), jpeg.subarray(0, sniffLength));
+
+    const checked = await checkFile({
+      path: filePath,
+      size: jpeg.length,
+      originalname: "photo",
+    });
+    assert.equal(checked.originalname, "photo.jpg");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSnapshots } from "../services/versions.js";
+
+const snapshot = {
+  title: "Hampi",
+  description: "Group of monuments",
+  location: { type: "Point", coordinates: [76.46, 15.33] },
+  cover_image: "hampi.jpg",
+  cover_variants: { 320: "hampi-320.jpg" },
+};
+
+test("identical snapshots have no changes", () => {
+  assert.deepEqual(diffSnapshots(snapshot, { ...snapshot }), []);
+});
+
+test("changed fields are listed with both values", () => {
+  const changes = diffSnapshots(snapshot, {
+    ...snapshot,
+    title: "Hampi ruins",
+    location: { type: "Point", coordinates: [76.47, 15.33] },
+  });
+  assert.deepEqual(changes, [
+    { field: "title", from: "Hampi", to: "Hampi ruins" },
+    {
+      field: "location",
+      from: snapshot.location,
+      to: { type: "Point", coordinates: [76.47, 15.33] },
+    },
+  ]);
+});
+
+test("missing and cleared fields compare as null", () => {
+  const changes = diffSnapshots(snapshot, {
+    ...snapshot,
+    description: undefined,
+    shortdescription: null,
+  });
+  assert.deepEqual(changes, [
+    { field: "description", from: "Group of monuments", to: null },
+  ]);
+});
+
+test("a new cover is one change, its variants are left out", () => {
+  const changes = diffSnapshots(snapshot, {
+    ...snapshot,
+    cover_image: "hampi2.jpg",
+    cover_variants: { 320: "hampi2-320.jpg" },
+  });
+  assert.deepEqual(changes, [
+    { field: "cover_image", from: "hampi.jpg", to: "hampi2.jpg" },
+  ]);
+});
+
+test("the first version lists every field that is set", () => {
+  const fields = diffSnapshots(null, snapshot).map((change) => change.field);
+  assert.deepEqual(fields, ["title", "description", "location", "cover_image"]);
+});
@@ -0,0 +1,26 @@
+// worker.js
+// Processes uploaded media in the background: cover variants, gallery image
+// variants and video transcoding, see services/mediaJobs.js. Run one or more
+// next to the API:
+//
+//   npm run worker
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { startWorker } from "./services/jobs.js";
+import "./services/mediaJobs.js";
+
+dotenv.config();
+
+mongoose
+  .connect(process.env.MONGOURL)
+  .then(() => {
+    console.log("worker connected to database");
+    const stop = startWorker({
+      pollInterval: Number(process.env.JOB_POLL_INTERVAL) || 2000,
+    });
+    // let the current job finish on shutdown, it is retried otherwise
+    process.on("SIGTERM", () => stop().then(() => mongoose.disconnect()));
+  })
+  .catch((error) => {
+    console.log(error);
+  });
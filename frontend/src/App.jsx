@@ -10,6 +10,9 @@ import AdminNavbar from "./components/adminNavbar/AdminNavbar.jsx";
 import ListMonuments from "./components/ListMonuments/ListMonuments.jsx";
 import AddMonument from "./components/AddMonument";
 import EditMonument from "./components/EditMonument";
+import MonumentHistory from "./components/MonumentHistory/MonumentHistory.jsx";
+import ReviewQueue from "./components/ReviewQueue/ReviewQueue.jsx";
+import Duplicates from "./components/Duplicates/Duplicates.jsx";
 import Gallery from "./components/gallery";
 import AddGallery from "./components/addGallery";
 import EditGallery from "./components/EditGallery";
@@ -38,6 +41,12 @@ function App() {
         <Route path="/manage/ListMonuments" element={<ListMonuments />} />
         <Route path="/manage/monument/create" element={<AddMonument />} />
         <Route path="/manage/monument/edit/:id" element={<EditMonument />} />
+        <Route
+          path="/manage/monument/history/:id"
+          element={<MonumentHistory />}
+        />
+        <Route path="/manage/review" element={<ReviewQueue />} />
+        <Route path="/manage/duplicates" element={<Duplicates />} />
         <Route path="/manage/gallery/:id" element={<Gallery />} />
         <Route path="/manage/gallery/create/:id" element={<AddGallery />} />
         <Route path="/manage/gallery/edit/:id" element={<EditGallery />} />
@@ -4,12 +4,25 @@ import { useParams, useNavigate } from "react-router-dom";
 import star from "../components/Assets/star.png";
 import axios from "axios";
 import ReactPlayer from "react-player";
-import checkAdmin from "../util/Token";
+import { checkReviewer } from "../util/Token";
+import {
+  statusLabels,
+  reviewActions,
+  commentRequired,
+} from "../util/moderation";
 import ImagePopup from "../components/ImagePopup/ImagePopup";
+import ResponsiveImage from "../components/ResponsiveImage/ResponsiveImage";
+import Attribution from "../components/Attribution/Attribution";
 import Map from "../components/Map/Map";
 import user_icon from "../components/Assets/user.png";
 import ReadMore from "../components/ReadMore/ReadMore";
 import explore_icons from "../components/Assets/explore_white.png";
+import {
+  latLngOf,
+  formatLocation,
+  formatDistance,
+  fieldText,
+} from "../util/geo";
 
 const Placedetails = () => {
   const navigate = useNavigate();
@@ -18,87 +31,177 @@ const Placedetails = () => {
   const [combinedData, setCombinedData] = useState(null); // Store combined data here
   const [galleryImages, setGalleryImages] = useState([]);
   const [clickedImg, setClickedImg] = useState(null);
-  const [isAdmin, setIsAdmin] = useState(false);
+  const [isReviewer, setIsReviewer] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [nearby, setNearby] = useState([]);
 
   const handleMapClick = (loc) => {
     window.location.href = `https://maps.google.com/?q=${loc}`;
   };
 
   useEffect(() => {
-    checkAdmin(setIsAdmin);
+    checkReviewer(setIsReviewer);
   });
 
+  // adaptive stream when the server cut the video into HLS renditions
+  const videoUrl = (item) =>
+    item.hlsPath
+      ? new URL(item.hlsPath, axios.defaults.baseURL).href
+      : item.imageUrl;
+
   const handleClick = (item) => {
-    setClickedImg(item.imageUrl);
+    setClickedImg({ url: item.imageUrl, rights: item.rights });
   };
 
   const handleTheClick = (item) => {
-    setClickedImg(item.monument.imageUrl);
+    setClickedImg({
+      url: item.monument.imageUrl,
+      rights: item.monument.cover_rights,
+    });
   };
 
-  const clickToVerify = (Id) => {
-    let cfm = confirm("Confirm verification");
-    if (!cfm) return;
-    else {
-      axios
-        .put(`admin/verify/${Id}`)
-        .then((res) => {
-          alert(res.data.message);
-          navigate("/manage/ListMonuments");
-        })
-        .catch((err) => {
-          alert("Error verifing : " + err.message);
-        });
+  const clickToReview = (Id, status) => {
+    let comment = prompt(
+      `Comment for the contributor (${statusLabels[status]})` +
+        (commentRequired.includes(status) ? "" : ", optional")
+    );
+    if (comment === null) return;
+    if (!comment && commentRequired.includes(status)) {
+      alert("A comment is required");
+      return;
     }
+    axios
+      .put(`admin/review/${Id}`, { status, comment })
+      .then((res) => {
+        alert(res.data.message);
+        navigate("/manage/review");
+      })
+      .catch((err) => {
+        alert("Error reviewing : " + err.message);
+      });
   };
 
-  const clickToUnverify = (Id) => {
-    let cfm = confirm("Do you want to edit the verification");
+  const clickToApproveRevision = (Id) => {
+    let cfm = confirm("Publish the changes of this revision");
     if (!cfm) return;
-    else {
-      axios
-        .put(`admin/unverify/${Id}`)
-        .then((res) => {
-          alert(res.data.message);
-          navigate("/manage/ListMonuments");
-        })
-        .catch((err) => {
-          alert("Error verifing : " + err.message);
-        });
-    }
+    axios
+      .put(`admin/revisions/${Id}/approve`)
+      .then((res) => {
+        alert(res.data.message);
+        navigate("/manage/ListMonuments");
+      })
+      .catch((err) => {
+        alert("Error approving revision : " + err.message);
+      });
   };
 
-  const isValidLatLong = (location) => {
-    const lat = location.split(",")[0];
-    const long = location.split(",")[1];
-
-    if (!isNaN(parseFloat(lat)) && !isNaN(parseFloat(long))) return true;
-    return false;
+  const clickToRejectRevision = (Id) => {
+    let reason = prompt("Reason for rejecting this revision");
+    if (!reason) return;
+    axios
+      .put(`admin/revisions/${Id}/reject`, { reason })
+      .then((res) => {
+        alert(res.data.message);
+        setRevisions((current) => current.filter((r) => r._id != Id));
+      })
+      .catch((err) => {
+        alert("Error rejecting revision : " + err.message);
+      });
   };
 
+  // the cover is shown as an image, the rest of it changes along with it
+  const coverFields = [
+    "cover_image",
+    "cover_variants",
+    "cover_exif",
+    "cover_phash",
+    "mediaStatus",
+  ];
+
+  const changedFields = (revision) =>
+    Object.keys(revision.changes).filter(
+      (field) =>
+        !coverFields.includes(field) &&
+        JSON.stringify(revision.changes[field] ?? "") !=
+          JSON.stringify(combinedData.monument[field] ?? "")
+    );
+
+  const latLng = combinedData && latLngOf(combinedData.monument.location);
+
+  // reviewers also see monuments and media that aren't published yet
   useEffect(() => {
+    let ignore = false;
     axios
-      .get(`public/${placeId}`)
+      .get(isReviewer ? `admin/monuments/${placeId}` : `public/${placeId}`)
       .then((response) => {
-        setCombinedData(response.data);
+        if (!ignore) setCombinedData(response.data);
       })
       .catch((error) => {
         console.error("Error fetching combined data:", error);
       });
-  }, [placeId]);
+    return () => {
+      ignore = true;
+    };
+  }, [isReviewer, placeId]);
 
   useEffect(() => {
+    const point = combinedData && latLngOf(combinedData.monument.location);
+    if (!point) {
+      setNearby([]);
+      return;
+    }
+    axios
+      .get("public/geo/nearest", {
+        params: {
+          lat: point[0],
+          lng: point[1],
+          limit: 4,
+          exclude: placeId,
+        },
+      })
+      .then((response) => setNearby(response.data))
+      .catch((error) => {
+        console.error("Error fetching nearby monuments:", error.message);
+      });
+  }, [combinedData, placeId]);
+
+  const handleNearbyClick = (id) => {
+    window.scrollTo(0, 0);
+    navigate(`/places/${id}`);
+  };
+
+  useEffect(() => {
+    if (!isReviewer) return;
+    axios
+      .get(`admin/revisions?monumentId=${placeId}`)
+      .then((response) => {
+        setRevisions(response.data);
+      })
+      .catch((error) => {
+        console.error("Error fetching revisions:", error.message);
+      });
+  }, [isReviewer, placeId]);
+
+  useEffect(() => {
+    let ignore = false;
     setLoading(true);
     axios
-      .get(`public/monument/${placeId}`)
+      .get(
+        isReviewer ? `gallery/monument/${placeId}` : `public/monument/${placeId}`
+      )
       .then((response) => {
-        setGalleryImages(response.data);
+        if (!ignore) setGalleryImages(response.data);
       })
       .catch((error) => {
         console.error("Error fetching gallery images:", error.message);
       })
-      .finally(() => setLoading(false));
-  }, []);
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [isReviewer, placeId]);
 
   return (
     <div className="place-details">
@@ -136,14 +239,15 @@ const Placedetails = () => {
         combinedData && (
           <>
             <div className="place-img">
-              <img
-                src={combinedData.monument.imageUrl}
+              <ResponsiveImage
+                item={combinedData.monument}
+                sizes="100vw"
                 onClick={() => handleTheClick(combinedData)}
-                alt=""
               />
               {clickedImg && (
                 <ImagePopup
-                  clickedImg={clickedImg}
+                  clickedImg={clickedImg.url}
+                  rights={clickedImg.rights}
                   setClickedImg={setClickedImg}
                 />
               )}
@@ -163,6 +267,7 @@ const Placedetails = () => {
                   <img src={user_icon} alt="" />
                   <p>{combinedData.userName}</p>
                 </div>
+                <Attribution rights={combinedData.monument.cover_rights} />
               </div>
             </div>
             <div className="importance">
@@ -221,29 +326,43 @@ const Placedetails = () => {
                         <div className="gallery-images" key={item._id}>
                           {item.image.endsWith(".mp4") ? (
                             <ReactPlayer
-                              url={item.imageUrl}
+                              url={videoUrl(item)}
                               controls
                               width="100%"
                               height={371}
                               volume={null}
                               muted
+                              config={{
+                                file: {
+                                  attributes: {
+                                    poster: item.posterUrl,
+                                    preload: "none",
+                                  },
+                                },
+                              }}
                             />
                           ) : (
-                            <img
-                              src={item.imageUrl}
+                            <ResponsiveImage
+                              item={item}
+                              sizes="(max-width: 600px) 100vw, 45vw"
                               onClick={() => handleClick(item)}
                             />
                           )}
                           <div>
                             {clickedImg && (
                               <ImagePopup
-                                clickedImg={clickedImg}
+                                clickedImg={clickedImg.url}
+                                rights={clickedImg.rights}
                                 setClickedImg={setClickedImg}
                               />
                             )}
                           </div>
                           <div className="gallery-title">
                             <p className="titles">{item.imgTitle}</p>
+                            <Attribution
+                              rights={item.rights}
+                              className="gallery-attribution"
+                            />
                           </div>
                         </div>
                       ))}
@@ -255,12 +374,12 @@ const Placedetails = () => {
               <h4>MAP</h4>
               <div className="line map-line"></div>
               <div className="map">
-                {combinedData.monument.location &&
-                isValidLatLong(combinedData.monument.location) ? (
+                {latLng ? (
                   <div className="mapview">
                     <Map
-                      latitude={combinedData.monument.location.split(",")[0]}
-                      longitude={combinedData.monument.location.split(",")[1]}
+                      latitude={latLng[0]}
+                      longitude={latLng[1]}
+                      title={combinedData.monument.title}
                     />
                   </div>
                 ) : undefined}
@@ -271,29 +390,100 @@ const Placedetails = () => {
               {/* <img src={gmap} alt="" /> */}
               <button
                 className="w3-button w3-green"
-                onClick={() => handleMapClick(combinedData.monument.location)}
+                onClick={() =>
+                  handleMapClick(formatLocation(combinedData.monument.location))
+                }
               >
                 <i className="fa fa-map-marker" aria-hidden="true"></i>GOOGLE
                 MAPS
               </button>
             </div>
 
-            {isAdmin ? (
+            {nearby.length > 0 ? (
+              <div className="gallery nearby">
+                <h4>NEARBY MONUMENTS</h4>
+                <div className="line"></div>
+                <div className="nearby-items">
+                  {nearby.map((item) => (
+                    <div
+                      className="nearby-item"
+                      key={item._id}
+                      onClick={() => handleNearbyClick(item._id)}
+                    >
+                      <ResponsiveImage item={item} sizes="220px" />
+                      <p className="titles">{item.title}</p>
+                      <p className="distance">
+                        {item.place} &middot; {formatDistance(item.distance)}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : undefined}
+
+            {isReviewer && revisions.length > 0 ? (
+              <div className="gallery revisions">
+                <h4>PENDING REVISIONS</h4>
+                <div className="line"></div>
+                {revisions.map((revision) => (
+                  <div className="revision" key={revision._id}>
+                    <p className="revision-head">
+                      {revision.user?.name} &middot;{" "}
+                      {new Date(revision.createdAt).toLocaleString()}
+                    </p>
+                    {changedFields(revision).map((field) => (
+                      <div className="revision-field" key={field}>
+                        <h5>{field}</h5>
+                        <p className="old-value">
+                          {fieldText(field, combinedData.monument[field])}
+                        </p>
+                        <p className="new-value">
+                          {fieldText(field, revision.changes[field])}
+                        </p>
+                      </div>
+                    ))}
+                    {revision.imageUrl && (
+                      <div className="revision-field">
+                        <h5>cover_image</h5>
+                        <img src={revision.imageUrl} alt="Proposed cover" />
+                      </div>
+                    )}
+                    <div className="revision-actions">
+                      <button
+                        className="btn"
+                        onClick={() => clickToApproveRevision(revision._id)}
+                      >
+                        Approve
+                      </button>
+                      <button
+                        className="btn"
+                        onClick={() => clickToRejectRevision(revision._id)}
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : undefined}
+
+            {isReviewer ? (
               <div className="verify">
-                {combinedData.monument.status == 1 ? (
-                  <button
-                    className="btn"
-                    onClick={() => clickToUnverify(combinedData.monument._id)}
-                  >
-                    Unverify
-                  </button>
-                ) : (
-                  <button
-                    className="btn"
-                    onClick={() => clickToVerify(combinedData.monument._id)}
-                  >
-                    Verify
-                  </button>
+                <span className="status-label">
+                  {statusLabels[combinedData.monument.status]}
+                </span>
+                {(reviewActions[combinedData.monument.status] || []).map(
+                  (action) => (
+                    <button
+                      className="btn"
+                      key={action.status}
+                      onClick={() =>
+                        clickToReview(combinedData.monument._id, action.status)
+                      }
+                    >
+                      {action.label}
+                    </button>
+                  )
                 )}
               </div>
             ) : (
@@ -1,48 +1,98 @@
-import { React, useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import "./CSS/Showall.css";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import axios from "axios";
 import backcover from "../components/Assets/taj_mahal_cover.jpg";
 import search_icon from "../components/Assets/search.png";
 import explore_icon from "../components/Assets/explore.png";
+import ExploreMap from "../components/ExploreMap/ExploreMap";
+import ResponsiveImage from "../components/ResponsiveImage/ResponsiveImage";
+
+const pageSize = 12;
 
 const Showall = () => {
   const [loading, setLoading] = useState(true);
   const [monumentList, setMonumentList] = useState([]);
-  const [filteredMonumentList, setFilteredMonumentList] = useState([]);
+  const [hasMore, setHasMore] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
+  // everything sent to GET /public, changing anything but page starts over
+  const [params, setParams] = useState({
+    q: "",
+    sort: "newest",
+    nation: "",
+    state: "",
+    page: 1,
+  });
+  const [filters, setFilters] = useState({ nations: [], states: [] });
+  const loaderRef = useRef(null);
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = searchParams.get("view") == "map" ? "map" : "list";
+
+  useEffect(() => {
+    axios
+      .get("/public/filters")
+      .then((res) => setFilters(res.data))
+      .catch((err) => console.error(err.response.data.message));
+  }, []);
 
   useEffect(() => {
+    let ignore = false;
     setLoading(true);
+    // a search is ranked by relevance, so it ignores the sort menu
+    const url = params.q ? "/public/search" : "/public";
     axios
-      .get("/public")
+      .get(url, { params: { ...params, limit: pageSize } })
       .then((res) => {
-        setMonumentList(res.data);
-        // Initialize filtered list with all monuments
-        setFilteredMonumentList(res.data);
+        if (ignore) return;
+        setMonumentList((current) =>
+          params.page == 1 ? res.data.items : [...current, ...res.data.items]
+        );
+        setHasMore(res.data.page < res.data.pages);
       })
       .catch((err) => {
         console.error(err.response.data.message);
         alert(err.response.data.message);
       })
-      .finally(() => setLoading(false));
-  }, []);
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+    return () => {
+      ignore = true;
+    };
+  }, [params]);
+
+  // load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    if (loading || !hasMore || !loaderRef.current) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setParams((current) => ({ ...current, page: current.page + 1 }));
+      }
+    });
+    observer.observe(loaderRef.current);
+    return () => observer.disconnect();
+  }, [loading, hasMore]);
+
+  const updateParams = (changes) => {
+    setParams((current) => ({ ...current, ...changes, page: 1 }));
+  };
+
+  // search once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const q = searchQuery.trim();
+      setParams((current) =>
+        current.q == q ? current : { ...current, q, page: 1 }
+      );
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
 
   // Function to handle search query changes
   const handleSearch = (e) => {
-    const query = e.target.value.toLowerCase();
-    setSearchQuery(query);
-
-    // Filter the monument list based on the search query
-    const filteredList = monumentList.filter(
-      (monument) =>
-        monument.title.toLowerCase().includes(query) ||
-        monument.place.toLowerCase().includes(query) ||
-        monument.state.toLowerCase().includes(query) ||
-        monument.nation.toLowerCase().includes(query)
-    );
-    setFilteredMonumentList(query === "" ? monumentList : filteredList);
+    e.preventDefault();
+    updateParams({ q: searchQuery.trim() });
   };
 
   //function to navigate to the selected object
@@ -56,48 +106,131 @@ const Showall = () => {
       <div className="back_cover">
         <img src={backcover} alt="" />
 
-        <div className="search-box">
+        <form className="search-box" onSubmit={handleSearch}>
           <input
             type="text"
-            placeholder="Search here..."
+            placeholder='Search here... use "quotes" for a phrase'
             value={searchQuery}
-            onChange={handleSearch}
+            onChange={(e) => setSearchQuery(e.target.value)}
           />
-          <div className="search-icon-box">
+          <div className="search-icon-box" onClick={handleSearch}>
             <img src={search_icon} alt="" />
           </div>
-        </div>
+        </form>
       </div>
 
-      <div className="every-places">
-        {loading ? (
-          <div className="loading-indicator">
-            <div className="loading-box"></div>
-            <div className="loading-box"></div>
-            <div className="loading-box"></div>
-            <div className="loading-box"></div>
-          </div>
-        ) : (
-          <div className="each-places">
-            {filteredMonumentList.map((item) => (
-              <div
-                className="item"
-                key={item._id}
-                onClick={() => handleItemClick(item._id)}
-              >
-                <img src={item.imageUrl} alt="" />
-                <p className="title">{item.title}</p>
-                <div className="place">
-                  <img src={explore_icon} alt="" />
-                  <p>
-                    {item.place}, {item.state}
-                  </p>
-                </div>
-              </div>
-            ))}
-          </div>
+      <div className="filter-bar">
+        <div className="view-toggle">
+          <button
+            className={view == "list" ? "active" : ""}
+            onClick={() => setSearchParams({})}
+          >
+            List
+          </button>
+          <button
+            className={view == "map" ? "active" : ""}
+            onClick={() => setSearchParams({ view: "map" })}
+          >
+            Map
+          </button>
+        </div>
+        {view == "list" && (
+          <select
+            value={params.sort}
+            disabled={!!params.q}
+            onChange={(e) => updateParams({ sort: e.target.value })}
+          >
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+            <option value="title">Title</option>
+            <option value="state">State</option>
+          </select>
         )}
+        <select
+          value={params.nation}
+          onChange={(e) => updateParams({ nation: e.target.value })}
+        >
+          <option value="">All nations</option>
+          {filters.nations.map((nation) => (
+            <option key={nation} value={nation}>
+              {nation}
+            </option>
+          ))}
+        </select>
+        <select
+          value={params.state}
+          onChange={(e) => updateParams({ state: e.target.value })}
+        >
+          <option value="">All states</option>
+          {filters.states.map((state) => (
+            <option key={state} value={state}>
+              {state}
+            </option>
+          ))}
+        </select>
       </div>
+
+      {view == "map" ? (
+        <div className="every-places">
+          <ExploreMap nation={params.nation} state={params.state} />
+        </div>
+      ) : (
+        <div className="every-places">
+          {loading && params.page == 1 ? (
+            <div className="loading-indicator">
+              <div className="loading-box"></div>
+              <div className="loading-box"></div>
+              <div className="loading-box"></div>
+              <div className="loading-box"></div>
+            </div>
+          ) : (
+            <div className="each-places">
+              {monumentList.map((item) => (
+                <div
+                  className={item.snippets ? "item with-snippet" : "item"}
+                  key={item._id}
+                  onClick={() => handleItemClick(item._id)}
+                >
+                  <ResponsiveImage
+                    item={item}
+                    sizes="(max-width: 600px) 150px, 279px"
+                  />
+                  <p className="title">{item.title}</p>
+                  <div className="place">
+                    <img src={explore_icon} alt="" />
+                    <p>
+                      {item.place}, {item.state}
+                    </p>
+                  </div>
+                  {item.snippets &&
+                    item.snippets
+                      .filter((snippet) => snippet.field != "title")
+                      .slice(0, 1)
+                      .map((snippet) => (
+                        <p className="snippet" key={snippet.field}>
+                          {snippet.fragments.map((fragment, index) =>
+                            fragment.match ? (
+                              <mark key={index}>{fragment.text}</mark>
+                            ) : (
+                              <span key={index}>{fragment.text}</span>
+                            )
+                          )}
+                        </p>
+                      ))}
+                </div>
+              ))}
+              {!loading && monumentList.length == 0 && (
+                <p className="no-results">No monuments found</p>
+              )}
+              {hasMore && (
+                <div className="load-more" ref={loaderRef}>
+                  {loading && <div className="loading-box"></div>}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
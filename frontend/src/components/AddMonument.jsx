@@ -4,6 +4,10 @@ import { useNavigate } from "react-router-dom";
 import "./Form.css";
 import imgIcon from "../static/img.svg";
 import ClipLoader from "react-spinners/ClipLoader";
+import RightsFields from "./RightsFields/RightsFields";
+import { emptyRights, appendRights } from "../util/rights";
+import { acceptImages, fileProblem } from "../util/media";
+import { uploadError } from "../util/chunkedUpload";
 
 const AddMonument = () => {
   const navigate = useNavigate();
@@ -11,6 +15,7 @@ const AddMonument = () => {
   const imageRef = useRef(null);
   const [filename, setFilename] = useState("No file chosen");
   const [coverImage, setCoverImage] = useState(imgIcon);
+  const [coverRights, setCoverRights] = useState(emptyRights);
   // const [isSubmitting, setIsSubmitting] = useState(false);
   const [isSubmit, setIsSubmit] = useState(false);
 
@@ -21,7 +26,7 @@ const AddMonument = () => {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(showPosition, showError);
     } else {
-      setLocation("Geolocation is not supported by this browser.");
+      alert("Geolocation is not supported by this browser.");
     }
   }
 
@@ -32,19 +37,19 @@ const AddMonument = () => {
   function showError(error) {
     switch (error.code) {
       case error.PERMISSION_DENIED:
-        setLocation("User denied the request for Geolocation.");
+        alert("User denied the request for Geolocation.");
         break;
       case error.POSITION_UNAVAILABLE:
-        setLocation("Location information is unavailable.");
+        alert("Location information is unavailable.");
         break;
       case error.TIMEOUT:
-        setLocation("The request to get user location timed out.");
+        alert("The request to get user location timed out.");
         break;
       case error.UNKNOWN_ERROR:
-        setLocation("An unknown error occurred.");
+        alert("An unknown error occurred.");
         break;
       default:
-        setLocation("An error occurred while fetching location.");
+        alert("An error occurred while fetching location.");
         break;
     }
   }
@@ -61,6 +66,12 @@ const AddMonument = () => {
 
   function handleChange(e) {
     const files = e.target.files;
+    const problem = fileProblem(files[0], false);
+    if (problem) {
+      alert(problem);
+      e.target.value = "";
+      return;
+    }
     setFilename(files[0].name);
     setImgSrc(files);
   }
@@ -88,6 +99,8 @@ const AddMonument = () => {
     formData.append("past_condition", e.target.past_condition.value);
     formData.append("present_condition", e.target.present_condition.value);
     formData.append("cover_image", imageRef.current.files[0]);
+    appendRights(formData, "cover_rights", coverRights);
+    formData.append("draft", e.target.draft.checked);
 
     axios
       .post("/monuments", formData, {
@@ -100,7 +113,7 @@ const AddMonument = () => {
         navigate("/manage/ListMonuments");
       })
       .catch((err) => {
-        alert(err);
+        alert(uploadError(err));
         setIsSubmit((current) => {
           return !current;
         });
@@ -206,7 +219,7 @@ const AddMonument = () => {
                 name="cover_image"
                 type="file"
                 id="cover_image"
-                accept="image/*"
+                accept={acceptImages}
                 ref={imageRef}
                 onChange={handleChange}
                 required
@@ -220,6 +233,16 @@ const AddMonument = () => {
             </div>
           </div>
 
+          <div className="inp">
+            <label>Cover Image Credit</label>
+            <RightsFields value={coverRights} onChange={setCoverRights} />
+          </div>
+
+          <div className="inp">
+            <label htmlFor="draft">Save as draft (submit for review later)</label>
+            <input name="draft" type="checkbox" id="draft" />
+          </div>
+
           <div className="sub">
             {isSubmit ? (
               <div className="inp load">
@@ -0,0 +1,76 @@
+import PropTypes from "prop-types";
+import { licences, rightsPropType } from "../../util/rights";
+import "./Attribution.css";
+
+// Caption and credit line shown under a photo or video
+const Attribution = ({ rights, className = "" }) => {
+  if (!rights) return null;
+  const licence = licences[rights.licence];
+
+  const parts = [];
+  if (rights.credit) {
+    parts.push(
+      <span key="credit">
+        Photo:{" "}
+        {rights.sourceUrl ? (
+          <a href={rights.sourceUrl} target="_blank" rel="noreferrer">
+            {rights.credit}
+          </a>
+        ) : (
+          rights.credit
+        )}
+      </span>
+    );
+  } else if (rights.sourceUrl) {
+    parts.push(
+      <a key="source" href={rights.sourceUrl} target="_blank" rel="noreferrer">
+        Source
+      </a>
+    );
+  }
+  if (licence) {
+    parts.push(
+      licence.url ? (
+        <a
+          key="licence"
+          href={licence.url}
+          target="_blank"
+          rel="license noreferrer"
+        >
+          {licence.label}
+        </a>
+      ) : (
+        <span key="licence">{licence.label}</span>
+      )
+    );
+  }
+  if (rights.capturedAt) {
+    parts.push(
+      <span key="date">{new Date(rights.capturedAt).toLocaleDateString()}</span>
+    );
+  }
+
+  if (!rights.caption && parts.length == 0) return null;
+
+  return (
+    <div className={`attribution ${className}`}>
+      {rights.caption && <p className="caption">{rights.caption}</p>}
+      {parts.length > 0 && (
+        <p className="credit">
+          {parts.flatMap((part, index) =>
+            index
+              ? [<span key={`dot-${index}`}> &middot; </span>, part]
+              : [part]
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+Attribution.propTypes = {
+  rights: rightsPropType,
+  className: PropTypes.string,
+};
+
+export default Attribution;
@@ -0,0 +1,34 @@
+import PropTypes from "prop-types";
+import { Link } from "react-router-dom";
+import { duplicateLabel } from "../../util/media";
+import "./DuplicateWarning.css";
+
+// Warns that an image looks like one already in the catalogue, naming the
+// closest match
+const DuplicateWarning = ({ duplicates }) => {
+  if (!duplicates?.length) return null;
+  const [closest, ...others] = duplicates;
+
+  return (
+    <p className="duplicate-warning">
+      Possible duplicate of{" "}
+      <Link to={`/places/${closest.monumentId}`}>
+        {duplicateLabel(closest)}
+      </Link>
+      {others.length > 0 && ` and ${others.length} more`}
+    </p>
+  );
+};
+
+DuplicateWarning.propTypes = {
+  duplicates: PropTypes.arrayOf(
+    PropTypes.shape({
+      kind: PropTypes.oneOf(["gallery", "cover"]).isRequired,
+      monumentId: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      sameMonument: PropTypes.bool,
+    })
+  ),
+};
+
+export default DuplicateWarning;
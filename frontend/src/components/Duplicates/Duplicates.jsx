@@ -0,0 +1,117 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { Link, useNavigate } from "react-router-dom";
+import { tokenType } from "../../util/Token";
+import { statusLabels } from "../../util/moderation";
+import ResponsiveImage from "../ResponsiveImage/ResponsiveImage";
+
+import "../ListMonuments/ListMonuments.css";
+import "./Duplicates.css";
+
+// Groups of near-duplicate images across the catalogue. Admins keep one
+// image of a group, which deletes the other gallery items, or delete items
+// one by one. Covers can only be kept, they go with their monument.
+const Duplicates = () => {
+  const navigate = useNavigate();
+  const isAdmin = tokenType() == "admin";
+  const [clusters, setClusters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    if (!localStorage.getItem("token")) navigate("/login");
+    setLoading(true);
+    axios
+      .get("admin/duplicates")
+      .then((res) => setClusters(res.data))
+      .catch((err) => alert(err.response?.data?.message || err))
+      .finally(() => setLoading(false));
+  }, [navigate, refresh]);
+
+  const othersOf = (cluster, image) =>
+    cluster.filter(
+      (other) => other.kind == "gallery" && other._id != image._id
+    );
+
+  function keepImage(cluster, image) {
+    const others = othersOf(cluster, image);
+    if (
+      !confirm(
+        `Keep this image and delete ${others.length} duplicate gallery items?`
+      )
+    ) {
+      return;
+    }
+    axios
+      .put("admin/duplicates/merge", {
+        keep: { kind: image.kind, id: image._id },
+        remove: others.map((other) => other._id),
+      })
+      .then((res) => {
+        alert(res.data.message);
+        setRefresh((current) => current + 1);
+      })
+      .catch((err) => alert(err.response?.data?.message || err));
+  }
+
+  function deleteImage(image) {
+    if (!confirm(`Delete "${image.title}" from its gallery?`)) return;
+    axios
+      .delete(`gallery/${image._id}`)
+      .then((res) => {
+        alert(res.data.message);
+        setRefresh((current) => current + 1);
+      })
+      .catch((err) => alert(err.response?.data?.message || err));
+  }
+
+  return (
+    <div className="container">
+      <div className="topbar">
+        <div className="main-head">Duplicate Media</div>
+        <div>
+          {loading ? "Loading..." : `${clusters.length} groups of duplicates`}
+        </div>
+      </div>
+
+      {clusters.map((cluster) => (
+        <div className="duplicate-cluster" key={cluster[0]._id}>
+          {cluster.map((image) => (
+            <div className="duplicate-image" key={image._id}>
+              <ResponsiveImage item={image} sizes="200px" alt={image.title} />
+              <p className="duplicate-title">{image.title}</p>
+              <p>
+                {image.kind == "cover" ? "Cover of " : "Gallery of "}
+                <Link to={`/places/${image.monumentId}`}>
+                  {image.monumentTitle}
+                </Link>
+              </p>
+              <p>
+                {statusLabels[image.status]} &middot;{" "}
+                {new Date(image.createdAt).toLocaleDateString()}
+              </p>
+              {isAdmin && (
+                <div className="duplicate-actions">
+                  <button
+                    className="btn"
+                    disabled={othersOf(cluster, image).length == 0}
+                    onClick={() => keepImage(cluster, image)}
+                  >
+                    Keep this
+                  </button>
+                  {image.kind == "gallery" && (
+                    <button className="btn" onClick={() => deleteImage(image)}>
+                      Delete
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Duplicates;
@@ -4,6 +4,12 @@ import { useNavigate, useParams } from "react-router-dom";
 import "./Form.css";
 import imgIcon from "../static/img.svg";
 import ClipLoader from "react-spinners/ClipLoader";
+import useChunkedUpload from "../util/useChunkedUpload";
+import UploadProgress from "./UploadProgress/UploadProgress";
+import RightsFields from "./RightsFields/RightsFields";
+import { emptyRights, rightsFormValue } from "../util/rights";
+import { acceptMedia, fileProblem } from "../util/media";
+import { uploadError } from "../util/chunkedUpload";
 
 const EditGallery = () => {
   const navigate = useNavigate();
@@ -19,6 +25,9 @@ const EditGallery = () => {
   const [thumbnail, setThumbnail] = useState(imgIcon);
   const [isSubmit, setIsSubmit] = useState(false);
   const [isVideo, setIsVideo] = useState(false);
+  const [poster, setPoster] = useState(null);
+  const [rights, setRights] = useState(emptyRights);
+  const upload = useChunkedUpload();
 
   function setImgSrc(files) {
     if (FileReader && files && files.length) {
@@ -32,14 +41,15 @@ const EditGallery = () => {
 
   function handleChange(e) {
     const { name, value, files } = e.target;
-    const sizeLimit = 100;
-    if (files[0].size > 1048576 * sizeLimit) {
-      alert(`File is too big!, Maximum file size should be ${sizeLimit}MB`);
-      this.value = "";
+    const problem = fileProblem(files[0]);
+    if (problem) {
+      alert(problem);
+      e.target.value = "";
       return;
     }
     setFilename(files[0].name);
     setImgSrc(files);
+    upload.start(files[0]);
     setGalleryData((prevData) => ({
       ...prevData,
       [name]: files ? files[0] : value,
@@ -62,10 +72,12 @@ const EditGallery = () => {
       .then((res) => {
         const { data } = res;
         setGalleryData(res.data);
+        setRights(rightsFormValue(data.rights, data.exif));
         if (data.image) {
           // Assuming data.image is the Base64 string
           if (data.image.endsWith(".mp4")) setIsVideo(true);
           setThumbnail(data.imageUrl);
+          setPoster(data.posterUrl);
           setFilename(data.imgTitle); // Assuming data.imgTitle contains the filename
         }
       })
@@ -79,24 +91,26 @@ const EditGallery = () => {
 
   function submit(e) {
     e.preventDefault();
+    // the media is optional, but a chosen file has to be uploaded first
+    if (!["idle", "done"].includes(upload.status)) {
+      alert("Wait for the file to finish uploading");
+      return;
+    }
     setIsSubmit((current) => !current);
 
-    const formData = new FormData();
-    formData.append("imgTitle", e.target.imgTitle.value);
-    formData.append("image", imageRef.current.files[0]);
-
     axios
-      .put(`gallery/${id}`, formData, {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
+      .put(`gallery/${id}`, {
+        imgTitle: e.target.imgTitle.value,
+        description: e.target.description.value,
+        rights,
+        uploadId: upload.uploadId,
       })
       .then((res) => {
         alert("Gallery Updated");
         navigate(`/manage/gallery/${galleryData.monumentId}`);
       })
       .catch((err) => {
-        alert(err);
+        alert(uploadError(err));
         setIsSubmit((current) => !current);
       });
   }
@@ -119,6 +133,15 @@ const EditGallery = () => {
             />
           </div>
 
+          <div className="inp">
+            <label htmlFor="description">Description</label>
+            <textarea
+              name="description"
+              id="description"
+              defaultValue={galleryData.description}
+            />
+          </div>
+
           <div className="inp">
             <label htmlFor="image" className="required">
               Image/Video
@@ -136,7 +159,7 @@ const EditGallery = () => {
                 name="image"
                 type="file"
                 id="image"
-                accept="image/*, video/*"
+                accept={acceptMedia}
                 onChange={handleChange}
                 ref={imageRef}
               />
@@ -148,7 +171,7 @@ const EditGallery = () => {
                   Your browser does not support the video tag.
                 </video>
               ) : thumbnail && isVideo ? (
-                <video controls className="file-image-display">
+                <video controls className="file-image-display" poster={poster}>
                   <source src={thumbnail} type="video/mp4" />
                   Your browser does not support the video tag.
                 </video>
@@ -160,6 +183,12 @@ const EditGallery = () => {
                 />
               )}
             </div>
+            <UploadProgress upload={upload} />
+          </div>
+
+          <div className="inp">
+            <label>Credit</label>
+            <RightsFields value={rights} onChange={setRights} />
           </div>
 
           <div className="sub">
@@ -174,7 +203,11 @@ const EditGallery = () => {
                 />
               </div>
             ) : (
-              <input type="submit" className="btn" />
+              <input
+                type="submit"
+                className="btn"
+                disabled={!["idle", "done"].includes(upload.status)}
+              />
             )}
           </div>
         </form>
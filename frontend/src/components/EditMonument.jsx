@@ -2,8 +2,17 @@ import axios from "axios";
 import React, { useState, useEffect, useRef } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import "./Form.css";
+import { formatLocation } from "../util/geo";
 import imgIcon from "../static/img.svg";
 import ClipLoader from "react-spinners/ClipLoader";
+import RightsFields from "./RightsFields/RightsFields";
+import {
+  emptyRights,
+  rightsFormValue,
+  appendRights,
+} from "../util/rights";
+import { acceptImages, fileProblem } from "../util/media";
+import { uploadError } from "../util/chunkedUpload";
 
 const EditMonument = () => {
   const [monument, setMonument] = useState({
@@ -26,7 +35,9 @@ const EditMonument = () => {
   const { id } = useParams();
   const monumentEndpoint = `monuments/${id}`;
   const [coverImage, setCoverImage] = useState(imgIcon); // State variable for old cover image URL
+  const [coverRights, setCoverRights] = useState(emptyRights);
   const [isSubmit, setIsSubmit] = useState(false);
+  const [revisions, setRevisions] = useState([]);
 
   //fetching current location from user
   const [location, setLocation] = useState(""); // State to manage the location
@@ -35,7 +46,7 @@ const EditMonument = () => {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(showPosition, showError);
     } else {
-      setLocation("Geolocation is not supported by this browser.");
+      alert("Geolocation is not supported by this browser.");
     }
   }
 
@@ -47,19 +58,19 @@ const EditMonument = () => {
   function showError(error) {
     switch (error.code) {
       case error.PERMISSION_DENIED:
-        setLocation("User denied the request for Geolocation.");
+        alert("User denied the request for Geolocation.");
         break;
       case error.POSITION_UNAVAILABLE:
-        setLocation("Location information is unavailable.");
+        alert("Location information is unavailable.");
         break;
       case error.TIMEOUT:
-        setLocation("The request to get user location timed out.");
+        alert("The request to get user location timed out.");
         break;
       case error.UNKNOWN_ERROR:
-        setLocation("An unknown error occurred.");
+        alert("An unknown error occurred.");
         break;
       default:
-        setLocation("An error occurred while fetching location.");
+        alert("An error occurred while fetching location.");
         break;
     }
   }
@@ -76,9 +87,10 @@ const EditMonument = () => {
           setCoverImage(data.imageUrl);
           setFilename(data.cover_image.split("\\")[1]);
         }
+        setCoverRights(rightsFormValue(data.cover_rights, data.cover_exif));
         if (data.location) {
           // Set the initial value of location after fetching monument data
-          setLocation(data.location);
+          setLocation(formatLocation(data.location));
         }
       })
       .catch((err) => {
@@ -86,6 +98,15 @@ const EditMonument = () => {
       });
   }, [monumentEndpoint]);
 
+  useEffect(() => {
+    axios
+      .get(`${monumentEndpoint}/revisions`)
+      .then((res) => setRevisions(res.data))
+      .catch((err) => {
+        console.error("Error fetching revisions:", err);
+      });
+  }, [monumentEndpoint]);
+
   function setImgSrc(files) {
     if (FileReader && files && files.length) {
       var fr = new FileReader();
@@ -98,6 +119,12 @@ const EditMonument = () => {
 
   function handleChange(e) {
     const { name, value, files } = e.target;
+    const problem = fileProblem(files[0], false);
+    if (problem) {
+      alert(problem);
+      e.target.value = "";
+      return;
+    }
     setFilename(files[0].name);
     setImgSrc(files);
     setMonument((prevMonument) => ({
@@ -128,6 +155,7 @@ const EditMonument = () => {
     formData.append("past_condition", past_condition.value);
     formData.append("present_condition", present_condition.value);
     formData.append("cover_image", monument.cover_image);
+    appendRights(formData, "cover_rights", coverRights);
 
     axios
       .put(monumentEndpoint, formData, {
@@ -136,11 +164,11 @@ const EditMonument = () => {
         },
       })
       .then((res) => {
-        alert("Monument Updated");
+        alert(res.status == 202 ? res.data.message : "Monument Updated");
         navigate("/manage/ListMonuments");
       })
       .catch((err) => {
-        alert("Error updating monument: " + err);
+        alert("Error updating monument: " + uploadError(err));
         setIsSubmit((current) => {
           return !current;
         });
@@ -245,6 +273,23 @@ const EditMonument = () => {
               </button>
             </div>
           </div>
+          {!location && monument.suggestedLocation && (
+            <div className="location-hint">
+              <span>
+                Your photos were taken at{" "}
+                {formatLocation(monument.suggestedLocation)}
+              </span>
+              <button
+                className="btn"
+                type="button"
+                onClick={() =>
+                  setLocation(formatLocation(monument.suggestedLocation))
+                }
+              >
+                Use this location
+              </button>
+            </div>
+          )}
 
           <div className="inp">
             <label htmlFor="ipms_place">Importance of a Place</label>
@@ -307,7 +352,7 @@ const EditMonument = () => {
                 name="cover_image"
                 type="file"
                 id="cover_image"
-                accept="image/*"
+                accept={acceptImages}
                 onChange={handleChange}
               />
 
@@ -319,6 +364,11 @@ const EditMonument = () => {
             </div>
           </div>
 
+          <div className="inp">
+            <label>Cover Image Credit</label>
+            <RightsFields value={coverRights} onChange={setCoverRights} />
+          </div>
+
           <div className="sub">
             {isSubmit ? (
               <div className="inp load">
@@ -336,6 +386,34 @@ const EditMonument = () => {
             )}
           </div>
         </form>
+
+        {revisions.length > 0 && (
+          <div className="revision-history">
+            <div className="head">Revision History</div>
+            <table>
+              <thead>
+                <tr>
+                  <th>Submitted</th>
+                  <th>By</th>
+                  <th>Status</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {revisions.map((revision) => (
+                  <tr key={revision._id}>
+                    <td>{new Date(revision.createdAt).toLocaleString()}</td>
+                    <td>{revision.user?.name}</td>
+                    <td className={`revision-${revision.status}`}>
+                      {revision.status}
+                    </td>
+                    <td>{revision.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import axios from "axios";
+import { Link } from "react-router-dom";
+import { MapContainer, TileLayer, Marker, Popup, useMap } from "react-leaflet";
+import MarkerClusterGroup from "react-leaflet-cluster";
+import "leaflet/dist/leaflet.css";
+import { latLngOf } from "../../util/geo";
+import "./ExploreMap.css";
+
+const maxMarkers = 500;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const modulo = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+// "minLng,minLat,maxLng,maxLat" of the visible part of the map. Past the
+// antimeridian the map shows copies of the world, their longitudes are
+// wrapped back to -180..180, so a view across it has minLng above maxLng.
+const bboxOf = (map) => {
+  const bounds = map.getBounds();
+  const south = clamp(bounds.getSouth(), -90, 90);
+  const north = clamp(bounds.getNorth(), -90, 90);
+  if (bounds.getEast() - bounds.getWest() >= 360) {
+    return [-180, south, 180, north].join(",");
+  }
+  return [
+    modulo(bounds.getWest() + 180, 360) - 180,
+    south,
+    180 - modulo(180 - bounds.getEast(), 360),
+    north,
+  ].join(",");
+};
+
+// Loads the monuments inside the visible bounds whenever the map stops
+// moving or the filters change
+const BoundsLoader = ({ nation, state, onLoad }) => {
+  const map = useMap();
+  const [bbox, setBbox] = useState(() => bboxOf(map));
+
+  useEffect(() => {
+    const update = () => setBbox(bboxOf(map));
+    map.on("moveend", update);
+    return () => map.off("moveend", update);
+  }, [map]);
+
+  useEffect(() => {
+    let ignore = false;
+    axios
+      .get("/public/geo/bbox", {
+        params: { bbox, nation, state, limit: maxMarkers },
+      })
+      .then((res) => {
+        if (!ignore) onLoad(res.data);
+      })
+      .catch((err) => console.error(err.response?.data?.message || err));
+    return () => {
+      ignore = true;
+    };
+  }, [bbox, nation, state, onLoad]);
+
+  return null;
+};
+
+BoundsLoader.propTypes = {
+  nation: PropTypes.string,
+  state: PropTypes.string,
+  onLoad: PropTypes.func.isRequired,
+};
+
+const ExploreMap = ({ nation = "", state = "" }) => {
+  const [monuments, setMonuments] = useState([]);
+
+  return (
+    <div className="explore-map">
+      <MapContainer
+        center={[22.5, 79]}
+        zoom={5}
+        minZoom={2}
+        worldCopyJump
+        style={{ height: "100%" }}
+      >
+        <TileLayer
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+        />
+        <BoundsLoader nation={nation} state={state} onLoad={setMonuments} />
+        <MarkerClusterGroup chunkedLoading>
+          {monuments.map((monument) => (
+            <Marker key={monument._id} position={latLngOf(monument.location)}>
+              <Popup>
+                <div className="map-popup">
+                  <img src={monument.imageUrl} alt="" />
+                  <p>{monument.title}</p>
+                  <Link to={`/places/${monument._id}`}>View monument</Link>
+                </div>
+              </Popup>
+            </Marker>
+          ))}
+        </MarkerClusterGroup>
+      </MapContainer>
+      <div className="map-count">
+        {monuments.length == maxMarkers
+          ? `First ${maxMarkers} monuments in view, zoom in for more`
+          : `${monuments.length} monuments in view`}
+      </div>
+    </div>
+  );
+};
+
+ExploreMap.propTypes = {
+  nation: PropTypes.string,
+  state: PropTypes.string,
+};
+
+export default ExploreMap;
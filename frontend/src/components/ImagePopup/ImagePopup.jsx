@@ -1,8 +1,11 @@
 import React from "react";
+import PropTypes from "prop-types";
 import "./ImagePopup.css";
 import cross from "../Assets/cross.png";
+import Attribution from "../Attribution/Attribution";
+import { rightsPropType } from "../../util/rights";
 
-const ImagePopup = ({ clickedImg, setClickedImg }) => {
+const ImagePopup = ({ clickedImg, setClickedImg, rights }) => {
   const handleClick = (e) => {
     if (e.target.classList.contains("dismiss")) {
       setClickedImg(null);
@@ -13,6 +16,7 @@ const ImagePopup = ({ clickedImg, setClickedImg }) => {
     <>
       <div className="overlay dismiss" onClick={handleClick}>
         <img src={clickedImg} alt="bigger pic" />
+        <Attribution rights={rights} className="popup-attribution" />
         {/* <span className="dismiss" onClick={handleClick}>
           X
         </span> */}
@@ -24,4 +28,10 @@ const ImagePopup = ({ clickedImg, setClickedImg }) => {
   );
 };
 
+ImagePopup.propTypes = {
+  clickedImg: PropTypes.string.isRequired,
+  setClickedImg: PropTypes.func.isRequired,
+  rights: rightsPropType,
+};
+
 export default ImagePopup;
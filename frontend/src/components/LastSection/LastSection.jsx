@@ -3,6 +3,7 @@ import "./LastSection.css";
 import { Link } from "react-router-dom";
 import axios from "axios";
 import arrow from "../Assets/right-arrow.png";
+import ResponsiveImage from "../ResponsiveImage/ResponsiveImage";
 
 const LastSection = () => {
   const [latest, setLatest] = useState([]);
@@ -26,7 +27,11 @@ const LastSection = () => {
       <div className="image-container">
         {latest.map((item) => (
           <Link to={`/places/${item._id}`} className="image-con" key={item._id}>
-            <img className="img-one" src={item.imageUrl} alt="" />
+            <ResponsiveImage
+              item={item}
+              className="img-one"
+              sizes="(max-width: 600px) 100vw, 33vw"
+            />
             <div className="details">
               <div className="line"></div>
               <h2>{item.title}</h2>
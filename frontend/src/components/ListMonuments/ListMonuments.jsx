@@ -2,38 +2,109 @@ import { React, useEffect, useState } from "react";
 import axios from "axios";
 import { Link, useNavigate } from "react-router-dom";
 
+import {
+  statusLabels,
+  submittable,
+  lastReviewComment,
+} from "../../util/moderation";
+import { mediaLabels, mediaPollInterval } from "../../util/media";
+import ResponsiveImage from "../ResponsiveImage/ResponsiveImage";
+import DuplicateWarning from "../DuplicateWarning/DuplicateWarning";
 import "./ListMonuments.css";
 
 const ListMonuments = () => {
   const navigate = useNavigate();
 
   const [data, setData] = useState([]);
-  const [isAdmin, setIsAdmin] = useState(false);
+  const [isReviewer, setIsReviewer] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState([]);
+  const [params, setParams] = useState({
+    q: "",
+    sort: "newest",
+    status: "",
+    page: 1,
+  });
+  const [paging, setPaging] = useState({ pages: 1, total: 0, limit: 20 });
+  const [refresh, setRefresh] = useState(0);
 
   useEffect(() => {
     if (!localStorage.getItem("token")) navigate("/login");
     axios
-      .get("monuments/")
+      .get("monuments/", { params })
       .then((res) => {
         setData(res.data.monument);
-        setIsAdmin(res.data.userType == "admin" ? true : false);
+        setPaging({
+          pages: res.data.pages,
+          total: res.data.total,
+          limit: res.data.limit,
+        });
+        setIsReviewer(
+          res.data.userType == "admin" || res.data.userType == "reviewer"
+        );
       })
       .catch((err) => console.error(err.response.data.message));
-  }, []);
+  }, [params, refresh]);
+
+  // check again while the worker processes uploaded covers
+  useEffect(() => {
+    if (!data.some((monument) => monument.mediaStatus == "processing")) return;
+    const timer = setTimeout(
+      () => setRefresh((count) => count + 1),
+      mediaPollInterval
+    );
+    return () => clearTimeout(timer);
+  }, [data]);
+
+  // search once the user stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setParams((current) =>
+        current.q == searchQuery
+          ? current
+          : { ...current, q: searchQuery, page: 1 }
+      );
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const updateParams = (changes) => {
+    setParams((current) => ({ ...current, ...changes, page: 1 }));
+  };
+
+  const goToPage = (page) => {
+    setParams((current) => ({ ...current, page }));
+  };
+
+  useEffect(() => {
+    if (!showTrash) return;
+    axios
+      .get("monuments/trash")
+      .then((res) => setTrash(res.data))
+      .catch((err) => console.error(err.response.data.message));
+  }, [showTrash]);
 
   function handleItemClick(placeId) {
     window.scrollTo(0, 0);
     navigate(`/places/${placeId}`);
   }
 
-  function deleteMonument(id) {
-    let isDel = confirm("Confirm Delete");
+  // "3 gallery items", the gallery that goes with a monument
+  const galleryItems = (monument) =>
+    `${monument.galleryCount} gallery item${monument.galleryCount == 1 ? "" : "s"}`;
+
+  function deleteMonument(monument) {
+    let isDel = confirm(
+      `Move "${monument.title}" to trash? Its ${galleryItems(monument)} will be hidden as well`
+    );
     if (isDel) {
       axios
-        .delete(`monuments/${id}`)
+        .delete(`monuments/${monument._id}`)
         .then((res) => {
-          setData((currentData) => currentData.filter((m) => m._id != id));
+          setData((currentData) =>
+            currentData.filter((m) => m._id != monument._id)
+          );
         })
         .catch((err) => {
           alert("Delete Error: Could not be deleted");
@@ -41,18 +112,55 @@ const ListMonuments = () => {
     }
   }
 
-  function handleSearch(e) {
-    const query = e.target.value.toLowerCase();
-    setSearchQuery(query);
+  function submitMonument(id) {
+    axios
+      .put(`monuments/${id}/status`, { status: "submitted" })
+      .then((res) => {
+        setData((currentData) =>
+          currentData.map((m) =>
+            m._id == id ? { ...m, ...res.data.monument } : m
+          )
+        );
+      })
+      .catch((err) => {
+        alert("Submit Error: " + err.response.data.message);
+      });
   }
 
-  const filteredData = data.filter(
-    (monument) =>
-      monument.title.toLowerCase().includes(searchQuery) ||
-      monument.state.toLowerCase().includes(searchQuery) ||
-      monument.place.toLowerCase().includes(searchQuery) ||
-      monument.nation.toLowerCase().includes(searchQuery)
-  );
+  function restoreMonument(monument) {
+    axios
+      .put(`monuments/${monument._id}/restore`)
+      .then(() => {
+        setTrash((current) => current.filter((m) => m._id != monument._id));
+        setData((currentData) => [
+          ...currentData,
+          { ...monument, trash: null },
+        ]);
+      })
+      .catch(() => {
+        alert("Restore Error: Could not be restored");
+      });
+  }
+
+  function purgeMonument(monument) {
+    let isDel = confirm(
+      `Permanently delete "${monument.title}", its ${galleryItems(monument)} and history?`
+    );
+    if (isDel) {
+      axios
+        .delete(`monuments/${monument._id}/purge`)
+        .then(() => {
+          setTrash((current) => current.filter((m) => m._id != monument._id));
+        })
+        .catch(() => {
+          alert("Delete Error: Could not be deleted");
+        });
+    }
+  }
+
+  function handleSearch(e) {
+    setSearchQuery(e.target.value);
+  }
 
   return (
     <div className="container">
@@ -69,112 +177,251 @@ const ListMonuments = () => {
           />
         </div>
 
-        <Link className="link-to-create" to={"/manage/monument/create"}>
-          <button className="btn">Create</button>
-        </Link>
+        {!showTrash && (
+          <div className="monument-filters">
+            <select
+              value={params.sort}
+              onChange={(e) => updateParams({ sort: e.target.value })}
+            >
+              <option value="newest">Newest</option>
+              <option value="oldest">Oldest</option>
+              <option value="title">Title</option>
+              <option value="state">State</option>
+            </select>
+            <select
+              value={params.status}
+              onChange={(e) => updateParams({ status: e.target.value })}
+            >
+              <option value="">All statuses</option>
+              {Object.keys(statusLabels).map((status) => (
+                <option key={status} value={status}>
+                  {statusLabels[status]}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="double-btn">
+          <button className="btn" onClick={() => setShowTrash(!showTrash)}>
+            {showTrash ? "Monuments" : "Trash"}
+          </button>
+          <Link className="link-to-create" to={"/manage/monument/create"}>
+            <button className="btn">Create</button>
+          </Link>
+        </div>
       </div>
 
-      <div className="table">
-        <table>
-          <thead>
-            <tr>
-              <th>No</th>
-              <th>Title</th>
-              {/* <th>short Description</th> */}
-              <th>Description</th>
-              <th>Place</th>
-              <th>State</th>
-              <th>Image</th>
-              <th>Status</th>
-              <th>Gallery</th>
-              <th>
-                <span className="material-symbols-outlined tool">
-                  more_vert
-                </span>
-              </th>
-            </tr>
-          </thead>
-          <tbody>
-            {filteredData.map((monument, index) => (
-              <tr key={monument._id}>
-                <td>{index + 1}</td>
-                <td>{monument.title}</td>
-                {/* <td>{monument.shortdescription}</td> */}
-                <td>{monument.description}</td>
-                <td>{monument.place}</td>
-                <td>{monument.state}</td>
-                {/* <td>{monument.cover_image}</td> */}
-                <td>
-                  {monument.cover_image &&
-                  monument.cover_image.endsWith(".mp4") ? (
-                    <video className="image-display" controls>
-                      <source
-                        src={axios.defaults.baseURL + monument.cover_image}
-                        type="video/mp4"
-                      />
-                      Your browser does not support the video tag.
-                    </video>
-                  ) : (
-                    <img
-                      src={monument.imageUrl}
+      {showTrash ? (
+        <div className="table">
+          <table>
+            <thead>
+              <tr>
+                <th>No</th>
+                <th>Title</th>
+                <th>Place</th>
+                <th>State</th>
+                <th>Image</th>
+                <th>Deleted</th>
+                <th>Purged On</th>
+                <th>
+                  <span className="material-symbols-outlined tool">
+                    more_vert
+                  </span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {trash.map((monument, index) => (
+                <tr key={monument._id}>
+                  <td>{index + 1}</td>
+                  <td>{monument.title}</td>
+                  <td>{monument.place}</td>
+                  <td>{monument.state}</td>
+                  <td>
+                    <ResponsiveImage
+                      item={monument}
+                      sizes="150px"
                       alt="Cover Media"
                       className="image-display"
                     />
-                  )}
-                </td>
-                <td>
-                  <div className="dataAlign">
-                    {monument.status == 1 ? (
-                      <span className="YES">Verified</span>
-                    ) : (
-                      <span className="NO">Pending</span>
-                    )}
-                    {isAdmin ? (
-                      <button
-                        className="btn"
-                        onClick={() => handleItemClick(monument._id, true)}
+                  </td>
+                  <td>{new Date(monument.trash).toLocaleDateString()}</td>
+                  <td>{new Date(monument.purgeAt).toLocaleDateString()}</td>
+                  <td className="icons">
+                    <div className="tool-con">
+                      <span
+                        className="material-symbols-outlined tool edit"
+                        title="Restore"
+                        onClick={() => restoreMonument(monument)}
                       >
-                        Verification
-                      </button>
+                        restore_from_trash
+                      </span>
+                      <span
+                        className="material-symbols-outlined tool del"
+                        title="Delete forever"
+                        onClick={() => purgeMonument(monument)}
+                      >
+                        delete_forever
+                      </span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="table">
+          <table>
+            <thead>
+              <tr>
+                <th>No</th>
+                <th>Title</th>
+                {/* <th>short Description</th> */}
+                <th>Description</th>
+                <th>Place</th>
+                <th>State</th>
+                <th>Image</th>
+                <th>Status</th>
+                <th>Gallery</th>
+                <th>
+                  <span className="material-symbols-outlined tool">
+                    more_vert
+                  </span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.map((monument, index) => (
+                <tr key={monument._id}>
+                  <td>{(params.page - 1) * paging.limit + index + 1}</td>
+                  <td>{monument.title}</td>
+                  {/* <td>{monument.shortdescription}</td> */}
+                  <td>{monument.description}</td>
+                  <td>{monument.place}</td>
+                  <td>{monument.state}</td>
+                  {/* <td>{monument.cover_image}</td> */}
+                  <td>
+                    {monument.cover_image &&
+                    monument.cover_image.endsWith(".mp4") ? (
+                      <video className="image-display" controls>
+                        <source
+                          src={axios.defaults.baseURL + monument.cover_image}
+                          type="video/mp4"
+                        />
+                        Your browser does not support the video tag.
+                      </video>
                     ) : (
-                      <button
-                        className="btn"
-                        onClick={() => handleItemClick(monument._id)}
+                      <ResponsiveImage
+                        item={monument}
+                        sizes="150px"
+                        alt="Cover Media"
+                        className="image-display"
+                      />
+                    )}
+                    {mediaLabels[monument.mediaStatus] && (
+                      <p
+                        className={`media-status ${monument.mediaStatus}`}
+                        title={monument.mediaError}
                       >
-                        View
-                      </button>
+                        {mediaLabels[monument.mediaStatus]}
+                      </p>
                     )}
-                  </div>
-                </td>
-                <td className="icons">
-                  <div className="tool-con">
-                    <Link to={`/manage/gallery/${monument._id}`}>
-                      <span className="material-symbols-outlined tool gal">
-                        photo_library
+                    <DuplicateWarning duplicates={monument.duplicates} />
+                  </td>
+                  <td>
+                    <div className="dataAlign">
+                      <span
+                        className={monument.status == "approved" ? "YES" : "NO"}
+                      >
+                        {statusLabels[monument.status]}
                       </span>
-                    </Link>
-                  </div>
-                </td>
-                <td className="icons">
-                  <div className="tool-con">
-                    <Link to={`/manage/monument/edit/${monument._id}`}>
-                      <span className="material-symbols-outlined tool edit">
-                        edit_square
+                      {lastReviewComment(monument) && (
+                        <p className="review-comment">
+                          {lastReviewComment(monument).comment}
+                        </p>
+                      )}
+                      {submittable.includes(monument.status) && (
+                        <button
+                          className="btn"
+                          onClick={() => submitMonument(monument._id)}
+                        >
+                          Submit
+                        </button>
+                      )}
+                      {isReviewer ? (
+                        <button
+                          className="btn"
+                          onClick={() => handleItemClick(monument._id, true)}
+                        >
+                          Verification
+                        </button>
+                      ) : (
+                        <button
+                          className="btn"
+                          onClick={() => handleItemClick(monument._id)}
+                        >
+                          View
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                  <td className="icons">
+                    <div className="tool-con">
+                      <Link to={`/manage/gallery/${monument._id}`}>
+                        <span className="material-symbols-outlined tool gal">
+                          photo_library
+                        </span>
+                      </Link>
+                    </div>
+                  </td>
+                  <td className="icons">
+                    <div className="tool-con">
+                      <Link to={`/manage/monument/edit/${monument._id}`}>
+                        <span className="material-symbols-outlined tool edit">
+                          edit_square
+                        </span>
+                      </Link>
+                      <Link to={`/manage/monument/history/${monument._id}`}>
+                        <span className="material-symbols-outlined tool edit">
+                          history
+                        </span>
+                      </Link>
+                      <span
+                        className="material-symbols-outlined tool del"
+                        onClick={() => deleteMonument(monument)}
+                      >
+                        delete
                       </span>
-                    </Link>
-                    <span
-                      className="material-symbols-outlined tool del"
-                      onClick={() => deleteMonument(monument._id)}
-                    >
-                      delete
-                    </span>
-                  </div>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="pager">
+            <button
+              className="btn"
+              disabled={params.page <= 1}
+              onClick={() => goToPage(params.page - 1)}
+            >
+              Prev
+            </button>
+            <span>
+              Page {params.page} of {Math.max(1, paging.pages)} &middot;{" "}
+              {paging.total} monuments
+            </span>
+            <button
+              className="btn"
+              disabled={params.page >= paging.pages}
+              onClick={() => goToPage(params.page + 1)}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
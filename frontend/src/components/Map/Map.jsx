@@ -1,8 +1,9 @@
 import React from "react";
+import PropTypes from "prop-types";
 import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 
-const Map = ({ latitude, longitude }) => {
+const Map = ({ latitude, longitude, title }) => {
   return (
     <MapContainer
       center={[latitude, longitude]}
@@ -14,12 +15,16 @@ const Map = ({ latitude, longitude }) => {
         attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
       />
       <Marker position={[latitude, longitude]}>
-        <Popup>
-          A pretty CSS3 popup. <br /> Easily customizable.
-        </Popup>
+        {title && <Popup>{title}</Popup>}
       </Marker>
     </MapContainer>
   );
 };
 
+Map.propTypes = {
+  latitude: PropTypes.number.isRequired,
+  longitude: PropTypes.number.isRequired,
+  title: PropTypes.string,
+};
+
 export default Map;
@@ -0,0 +1,157 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { useNavigate, useParams } from "react-router-dom";
+import checkAdmin from "../../util/Token";
+import { fieldText } from "../../util/geo";
+
+import "../ListMonuments/ListMonuments.css";
+import "./MonumentHistory.css";
+
+const MonumentHistory = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const [versions, setVersions] = useState([]);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    if (!localStorage.getItem("token")) navigate("/login");
+    checkAdmin(setIsAdmin);
+  }, [navigate]);
+
+  useEffect(() => {
+    axios
+      .get(`monuments/${id}/versions`)
+      .then((res) => {
+        setVersions(res.data);
+        if (res.data.length > 1) {
+          setFrom(res.data[1].version);
+          setTo(res.data[0].version);
+        }
+      })
+      .catch((err) => console.error(err.response.data.message));
+  }, [id]);
+
+  useEffect(() => {
+    if (!from || !to) return;
+    axios
+      .get(`monuments/${id}/versions/diff?from=${from}&to=${to}`)
+      .then((res) => setDiff(res.data))
+      .catch((err) => console.error(err.response.data.message));
+  }, [id, from, to]);
+
+  function rollback(version) {
+    let cfm = confirm(`Roll the monument back to version ${version}`);
+    if (!cfm) return;
+    axios
+      .put(`admin/monuments/${id}/rollback/${version}`)
+      .then((res) => {
+        alert(res.data.message);
+        navigate("/manage/ListMonuments");
+      })
+      .catch((err) => {
+        alert("Rollback Error: " + err.message);
+      });
+  }
+
+  return (
+    <div className="container">
+      <div className="topbar">
+        <div className="main-head">Version History</div>
+        <div className="version-compare">
+          <label htmlFor="from">Compare </label>
+          <select
+            id="from"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+          >
+            {versions.map((version) => (
+              <option key={version._id} value={version.version}>
+                v{version.version}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="to"> with </label>
+          <select id="to" value={to} onChange={(e) => setTo(e.target.value)}>
+            {versions.map((version) => (
+              <option key={version._id} value={version.version}>
+                v{version.version}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {diff && (
+        <div className="version-diff">
+          {diff.changes.length == 0 && <p>No differences</p>}
+          {diff.changes.map((change) => (
+            <div className="diff-field" key={change.field}>
+              <h5>{change.field}</h5>
+              {change.field == "cover_image" ? (
+                <div className="diff-images">
+                  {change.fromUrl && <img src={change.fromUrl} alt="Before" />}
+                  {change.toUrl && <img src={change.toUrl} alt="After" />}
+                </div>
+              ) : (
+                <>
+                  <p className="old-value">
+                    {fieldText(change.field, change.from)}
+                  </p>
+                  <p className="new-value">
+                    {fieldText(change.field, change.to)}
+                  </p>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="table">
+        <table>
+          <thead>
+            <tr>
+              <th>Version</th>
+              <th>Action</th>
+              <th>Changed Fields</th>
+              <th>By</th>
+              <th>Date</th>
+              {isAdmin && <th>Rollback</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((version, index) => (
+              <tr key={version._id}>
+                <td>v{version.version}</td>
+                <td>
+                  {version.action}
+                  {version.rolledBackTo && ` to v${version.rolledBackTo}`}
+                </td>
+                <td>{version.changedFields.join(", ")}</td>
+                <td>{version.user?.name}</td>
+                <td>{new Date(version.createdAt).toLocaleString()}</td>
+                {isAdmin && (
+                  <td>
+                    {index > 0 && (
+                      <button
+                        className="btn"
+                        onClick={() => rollback(version.version)}
+                      >
+                        Rollback
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MonumentHistory;
@@ -0,0 +1,43 @@
+import PropTypes from "prop-types";
+import "./ResponsiveImage.css";
+
+// Renders the WebP and JPEG sizes of an item's `imageSet` (see the API) so
+// the browser downloads the smallest one that fits `sizes`. Items uploaded
+// before variants existed fall back to their single `imageUrl`.
+const ResponsiveImage = ({ item, sizes, alt = "", ...props }) => {
+  if (!item.imageSet) return <img src={item.imageUrl} alt={alt} {...props} />;
+
+  return (
+    <picture className="responsive-image">
+      <source
+        type="image/webp"
+        srcSet={item.imageSet.srcset.webp}
+        sizes={sizes}
+      />
+      <img
+        src={item.imageSet.src}
+        srcSet={item.imageSet.srcset.jpeg}
+        sizes={sizes}
+        alt={alt}
+        {...props}
+      />
+    </picture>
+  );
+};
+
+ResponsiveImage.propTypes = {
+  item: PropTypes.shape({
+    imageUrl: PropTypes.string,
+    imageSet: PropTypes.shape({
+      src: PropTypes.string,
+      srcset: PropTypes.shape({
+        webp: PropTypes.string,
+        jpeg: PropTypes.string,
+      }),
+    }),
+  }).isRequired,
+  sizes: PropTypes.string,
+  alt: PropTypes.string,
+};
+
+export default ResponsiveImage;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { useNavigate } from "react-router-dom";
+
+import "../ListMonuments/ListMonuments.css";
+
+const waitingFor = (date) => {
+  const days = Math.floor((Date.now() - new Date(date)) / (24 * 3600 * 1000));
+  if (days < 1) return "today";
+  return days == 1 ? "1 day" : `${days} days`;
+};
+
+const ReviewQueue = () => {
+  const navigate = useNavigate();
+  const [queue, setQueue] = useState([]);
+
+  useEffect(() => {
+    if (!localStorage.getItem("token")) navigate("/login");
+    axios
+      .get("admin/queue")
+      .then((res) => setQueue(res.data))
+      .catch((err) => alert(err.response.data.message));
+  }, [navigate]);
+
+  function handleItemClick(placeId) {
+    window.scrollTo(0, 0);
+    navigate(`/places/${placeId}`);
+  }
+
+  return (
+    <div className="container">
+      <div className="topbar">
+        <div className="main-head">Review Queue</div>
+        <div>{queue.length} awaiting review</div>
+      </div>
+
+      <div className="table">
+        <table>
+          <thead>
+            <tr>
+              <th>No</th>
+              <th>Title</th>
+              <th>Contributor</th>
+              <th>Place</th>
+              <th>State</th>
+              <th>Image</th>
+              <th>Waiting</th>
+              <th>Review</th>
+            </tr>
+          </thead>
+          <tbody>
+            {queue.map((monument, index) => (
+              <tr key={monument._id}>
+                <td>{index + 1}</td>
+                <td>{monument.title}</td>
+                <td>{monument.user?.name}</td>
+                <td>{monument.place}</td>
+                <td>{monument.state}</td>
+                <td>
+                  <img
+                    src={monument.imageUrl}
+                    alt="Cover Media"
+                    className="image-display"
+                  />
+                </td>
+                <td>
+                  {waitingFor(monument.submittedAt || monument.createdAt)}
+                </td>
+                <td>
+                  <button
+                    className="btn"
+                    onClick={() => handleItemClick(monument._id)}
+                  >
+                    Review
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ReviewQueue;
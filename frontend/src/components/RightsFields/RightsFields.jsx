@@ -0,0 +1,76 @@
+import PropTypes from "prop-types";
+import { licences, rightsPropType } from "../../util/rights";
+import "./RightsFields.css";
+
+// Credit, licence, capture date and caption of a photo or video. `value`
+// comes from rightsFormValue, `onChange` receives the whole updated value.
+const RightsFields = ({ value, onChange, disabled = false }) => {
+  const update = (field) => (e) =>
+    onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div className="rights-fields">
+      <label>
+        Photographer / credit
+        <input
+          type="text"
+          value={value.credit}
+          onChange={update("credit")}
+          disabled={disabled}
+        />
+      </label>
+      <label>
+        Licence
+        <select
+          value={value.licence}
+          onChange={update("licence")}
+          disabled={disabled}
+        >
+          <option value="">Not specified</option>
+          {Object.entries(licences).map(([key, licence]) => (
+            <option key={key} value={key}>
+              {licence.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Source URL
+        <input
+          type="url"
+          placeholder="https://"
+          value={value.sourceUrl}
+          onChange={update("sourceUrl")}
+          disabled={disabled}
+        />
+      </label>
+      <label>
+        Capture date
+        <input
+          type="date"
+          value={value.capturedAt}
+          max={new Date().toISOString().slice(0, 10)}
+          onChange={update("capturedAt")}
+          disabled={disabled}
+        />
+      </label>
+      <label className="wide">
+        Caption
+        <input
+          type="text"
+          value={value.caption}
+          onChange={update("caption")}
+          disabled={disabled}
+        />
+      </label>
+    </div>
+  );
+};
+
+RightsFields.propTypes = {
+  value: rightsPropType.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default RightsFields;
@@ -0,0 +1,47 @@
+import PropTypes from "prop-types";
+import "./UploadProgress.css";
+
+const labels = {
+  queued: "Waiting",
+  uploading: "Uploading",
+  paused: "Paused",
+  failed: "Upload failed",
+  done: "Uploaded",
+};
+
+// Progress bar with pause, resume and retry for a useChunkedUpload upload
+const UploadProgress = ({ upload }) => {
+  if (upload.status == "idle") return null;
+
+  return (
+    <div className={`upload-progress ${upload.status}`}>
+      <progress value={upload.progress} max="1" />
+      <span>
+        {labels[upload.status]} {Math.floor(upload.progress * 100)}%
+      </span>
+      {upload.status == "uploading" && (
+        <button type="button" className="btn" onClick={upload.pause}>
+          Pause
+        </button>
+      )}
+      {["paused", "failed"].includes(upload.status) && (
+        <button type="button" className="btn" onClick={upload.resume}>
+          {upload.status == "paused" ? "Resume" : "Retry"}
+        </button>
+      )}
+      {upload.error && <p className="upload-error">{upload.error}</p>}
+    </div>
+  );
+};
+
+UploadProgress.propTypes = {
+  upload: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    progress: PropTypes.number,
+    error: PropTypes.string,
+    pause: PropTypes.func,
+    resume: PropTypes.func,
+  }).isRequired,
+};
+
+export default UploadProgress;
@@ -1,72 +1,158 @@
 import axios from "axios";
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import "./Form.css";
-import imgIcon from "../static/img.svg";
 import ClipLoader from "react-spinners/ClipLoader";
+import {
+  sendInChunks,
+  pauseUpload,
+  discardUpload,
+  uploadError,
+} from "../util/chunkedUpload";
+import UploadProgress from "./UploadProgress/UploadProgress";
+import RightsFields from "./RightsFields/RightsFields";
+import { emptyRights } from "../util/rights";
+import { acceptMedia, fileProblem } from "../util/media";
 
 const AddGallery = () => {
   const navigate = useNavigate();
   if (!localStorage.getItem("token")) navigate("/login");
 
-  const [filename, setFilename] = useState("No file chosen");
   const { id } = useParams();
-  const imageRef = useRef(null);
-  const [Image, setImage] = useState(imgIcon);
+  // one entry per chosen file: its title, description and upload state
+  const [entries, setEntries] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
   const [isSubmit, setIsSubmit] = useState(false);
-  //const [isSubmitting, setIsSubmitting] = useState(false); // State to manage submit button disabled state
-
-  function setImgSrc(files) {
-    if (FileReader && files && files.length) {
-      var fr = new FileReader();
-      fr.onload = function () {
-        document.querySelector(".file-image-display").src = fr.result;
-      };
-      fr.readAsDataURL(files[0]);
+  // upload sessions by entry key, see util/chunkedUpload.js
+  const sessions = useRef({});
+
+  function updateEntry(key, changes) {
+    setEntries((current) =>
+      current.map((entry) =>
+        entry.key == key ? { ...entry, ...changes } : entry
+      )
+    );
+  }
+
+  function addFiles(files) {
+    const problems = [...files].map((file) => fileProblem(file)).filter(Boolean);
+    if (problems.length) alert(problems.join("\n"));
+
+    const added = [...files]
+      .filter((file) => !fileProblem(file))
+      .map((file) => ({
+        key: `${file.name}-${file.lastModified}-${Math.random()}`,
+        file,
+        preview: URL.createObjectURL(file),
+        imgTitle: file.name.replace(/\.[^.]+$/, ""),
+        description: "",
+        rights: emptyRights,
+        status: "queued",
+        progress: 0,
+      }));
+    setEntries((current) => [...current, ...added]);
+  }
+
+  function removeEntry(entry) {
+    if (sessions.current[entry.key]) {
+      discardUpload(sessions.current[entry.key]);
+      delete sessions.current[entry.key];
     }
+    URL.revokeObjectURL(entry.preview);
+    setEntries((current) => current.filter((e) => e.key != entry.key));
   }
 
-  function handleChange(e) {
-    const sizeLimit = 100;
-    const files = e.target.files;
-    if (files[0].size > 1048576 * sizeLimit) {
-      alert(`File is too big!, Maximum file size should be ${sizeLimit}MB`);
-      this.value = "";
-      return;
+  // files are uploaded one at a time, in the order they were added
+  useEffect(() => {
+    if (entries.some((entry) => entry.status == "uploading")) return;
+    const next = entries.find((entry) => entry.status == "queued");
+    if (!next) return;
+
+    const update = (changes) =>
+      setEntries((current) =>
+        current.map((entry) =>
+          entry.key == next.key ? { ...entry, ...changes } : entry
+        )
+      );
+    if (!sessions.current[next.key]) {
+      sessions.current[next.key] = { file: next.file };
     }
-    setFilename(files[0].name);
-    setImgSrc(files);
+
+    update({ status: "uploading", error: null });
+    sendInChunks(sessions.current[next.key], (progress) => update({ progress }))
+      .then((uploadId) =>
+        update(uploadId ? { status: "done", uploadId } : { status: "paused" })
+      )
+      .catch((err) => update({ status: "failed", error: uploadError(err) }));
+  }, [entries]);
+
+  // don't keep sending after the form is closed
+  useEffect(() => {
+    const current = sessions.current;
+    return () => Object.values(current).forEach(pauseUpload);
+  }, []);
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  }
+
+  function handleChange(e) {
+    addFiles(e.target.files);
+    e.target.value = "";
   }
+
   function submit(e) {
     e.preventDefault();
 
-    // Disable the submit button
-    // setIsSubmitting(true);
-    setIsSubmit((current) => {
-      return !current;
-    });
-
-    const formData = new FormData();
-    formData.append("imgTitle", e.target.imgTitle.value);
-    // formData.append("description", e.target.description.value);
-    formData.append("image", imageRef.current.files[0]);
+    const ready = entries.filter(
+      (entry) => entry.status == "done" && entry.result?.status != "created"
+    );
+    const waiting = entries.filter((entry) => entry.status != "done");
+    if (ready.length == 0) {
+      alert("No uploaded files to add");
+      return;
+    }
+    if (
+      waiting.length &&
+      !confirm(
+        `${waiting.length} files are not uploaded yet and will be left out. Continue?`
+      )
+    ) {
+      return;
+    }
 
+    setIsSubmit(true);
     axios
-      .post(`/gallery/${id}`, formData, {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
+      .post(`/gallery/${id}/bulk`, {
+        items: ready.map((entry) => ({
+          imgTitle: entry.imgTitle,
+          description: entry.description,
+          rights: entry.rights,
+          uploadId: entry.uploadId,
+        })),
       })
       .then((res) => {
-        alert("Gallery Created");
-        navigate(`/manage/gallery/${id}`);
+        const { results } = res.data;
+        setEntries((current) =>
+          current.map((entry) => {
+            const index = ready.findIndex((r) => r.key == entry.key);
+            return index == -1 ? entry : { ...entry, result: results[index] };
+          })
+        );
+        alert(res.data.message);
+        if (
+          waiting.length == 0 &&
+          results.every((result) => result.status == "created")
+        ) {
+          navigate(`/manage/gallery/${id}`);
+        }
       })
       .catch((err) => {
-        alert(err);
-        setIsSubmit((current) => {
-          return !current;
-        });
-      });
+        alert(uploadError(err));
+      })
+      .finally(() => setIsSubmit(false));
   }
 
   return (
@@ -74,61 +160,94 @@ const AddGallery = () => {
       <div className="formcard">
         <div className="head">Add Gallery </div>
         <form onSubmit={submit}>
-          <div className="inp">
-            <label htmlFor="imgTitle" className="required">
-              Title
+          <div
+            className={`dropzone ${isDragging ? "dragging" : ""}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+          >
+            <p>Drop images and videos here</p>
+            <label htmlFor="image" className="fileopen btn">
+              <span>Open files</span>
             </label>
-            <input name="imgTitle" type="text" id="imgTitle" required />
+            <span className="filename">Maximum size: 100 MB per file</span>
+            <input
+              name="image"
+              type="file"
+              id="image"
+              accept={acceptMedia}
+              multiple
+              onChange={handleChange}
+            />
           </div>
 
-          {/* <div className="inp">
-            <label htmlFor="des">Description</label>
-            <textarea name="description" id="des" />
-          </div> */}
-
-          {/* <div className="inp">
-            <label htmlFor="image">Image/Video</label>
-            <input name="image" type="file" id="image" ref={imageRef} />
-          </div> */}
-          <div className="inp">
-            <label htmlFor="image" className="required">
-              Image/Video
-            </label>{" "}
-            <div className="fileSelect">
-              <div className="filebtncon">
-                <label htmlFor="image" className="fileopen btn">
-                  <span>Open file</span>
-                </label>
-                <p className="filename">
-                  {filename}
-                  <br />
-                  <span>Maximum size: 100 MB</span>
-                </p>
+          <div className="upload-list">
+            {entries.map((entry) => (
+              <div className="upload-row" key={entry.key}>
+                {entry.file.type.startsWith("video") ? (
+                  <video className="file-image-display" src={entry.preview} />
+                ) : (
+                  <img
+                    src={entry.preview}
+                    alt={entry.imgTitle}
+                    className="file-image-display"
+                  />
+                )}
+                <div className="upload-fields">
+                  <p className="filename">{entry.file.name}</p>
+                  <input
+                    type="text"
+                    placeholder="Title"
+                    value={entry.imgTitle}
+                    disabled={entry.result?.status == "created"}
+                    onChange={(e) =>
+                      updateEntry(entry.key, { imgTitle: e.target.value })
+                    }
+                    required
+                  />
+                  <textarea
+                    placeholder="Description"
+                    value={entry.description}
+                    disabled={entry.result?.status == "created"}
+                    onChange={(e) =>
+                      updateEntry(entry.key, { description: e.target.value })
+                    }
+                  />
+                  <RightsFields
+                    value={entry.rights}
+                    disabled={entry.result?.status == "created"}
+                    onChange={(rights) => updateEntry(entry.key, { rights })}
+                  />
+                  <UploadProgress
+                    upload={{
+                      ...entry,
+                      pause: () => pauseUpload(sessions.current[entry.key]),
+                      resume: () =>
+                        updateEntry(entry.key, { status: "queued" }),
+                    }}
+                  />
+                  {entry.result && (
+                    <p className={`upload-result ${entry.result.status}`}>
+                      {entry.result.status == "created"
+                        ? "Added"
+                        : entry.result.message}
+                    </p>
+                  )}
+                </div>
+                {entry.result?.status != "created" && (
+                  <span
+                    className="material-symbols-outlined tool del"
+                    title="Remove"
+                    onClick={() => removeEntry(entry)}
+                  >
+                    delete
+                  </span>
+                )}
               </div>
-              <input
-                name="image"
-                type="file"
-                id="image"
-                accept="image/*, video/*"
-                ref={imageRef}
-                onChange={handleChange}
-                required
-              />
-              {imageRef.current?.files[0] &&
-              imageRef.current.files[0].type.startsWith("video") ? (
-                <video controls className="file-image-display">
-                  <source src={Image} type="video/mp4" />
-                  Your browser does not support the video tag.
-                </video>
-              ) : (
-                <img
-                  src={Image}
-                  alt="Old Cover Image"
-                  className="file-image-display"
-                  required
-                />
-              )}
-            </div>
+            ))}
           </div>
 
           <div className="sub">
@@ -144,7 +263,11 @@ const AddGallery = () => {
                 />
               </div>
             ) : (
-              <input type="submit" className="btn" />
+              <input
+                type="submit"
+                className="btn"
+                disabled={!entries.some((entry) => entry.status == "done")}
+              />
             )}
           </div>
         </form>
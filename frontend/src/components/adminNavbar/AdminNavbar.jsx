@@ -2,9 +2,11 @@ import React from "react";
 import "./AdminNavbar.css";
 import logo_new from "../Assets/logo.png";
 import { Link, useNavigate, useLocation } from "react-router-dom";
+import { tokenType } from "../../util/Token";
 
 const adminNavbar = () => {
   let isNavOpen = false;
+  const isReviewer = ["admin", "reviewer"].includes(tokenType());
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -71,6 +73,28 @@ const adminNavbar = () => {
             HOME
           </Link>
         </li>
+        {isReviewer && (
+          <li>
+            <Link
+              to="/manage/review"
+              className="admin-navlink"
+              onClick={() => closeBlock()}
+            >
+              REVIEW
+            </Link>
+          </li>
+        )}
+        {isReviewer && (
+          <li>
+            <Link
+              to="/manage/duplicates"
+              className="admin-navlink"
+              onClick={() => closeBlock()}
+            >
+              DUPLICATES
+            </Link>
+          </li>
+        )}
         <li>
           <Link to="/" className="admin-navlink" onClick={() => closeBlock()}>
             PUBLIC HOME
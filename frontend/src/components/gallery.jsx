@@ -2,11 +2,24 @@ import React, { useEffect, useState } from "react";
 import axios from "axios";
 import { Link, useParams, useNavigate } from "react-router-dom";
 
+import { checkReviewer } from "../util/Token";
+import { statusLabels, lastReviewComment } from "../util/moderation";
+import {
+  mediaLabels,
+  isUnprocessed,
+  isProcessing,
+  mediaPollInterval,
+} from "../util/media";
+import DuplicateWarning from "./DuplicateWarning/DuplicateWarning";
 import "./gallery.css";
 
 const Gallery = () => {
   const navigate = useNavigate();
   const [data, setData] = useState([]);
+  const [isReviewer, setIsReviewer] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [refresh, setRefresh] = useState(0);
+  const [dragged, setDragged] = useState(null);
   const { id } = useParams();
   if (!localStorage.getItem("token")) navigate("/login");
 
@@ -18,7 +31,17 @@ const Gallery = () => {
         setData(res.data);
       })
       .catch((err) => console.log(err));
-  }, [id]);
+  }, [id, refresh]);
+
+  // check again while the worker processes uploaded media
+  useEffect(() => {
+    if (!data.some((gallery) => gallery.mediaStatus == "processing")) return;
+    const timer = setTimeout(
+      () => setRefresh((count) => count + 1),
+      mediaPollInterval
+    );
+    return () => clearTimeout(timer);
+  }, [data]);
 
   function deleteGallery(id) {
     let isDel = confirm("Confirm Delete");
@@ -36,6 +59,86 @@ const Gallery = () => {
     }
   }
 
+  useEffect(() => {
+    checkReviewer(setIsReviewer);
+  }, []);
+
+  function toggleSelected(id) {
+    setSelected((current) =>
+      current.includes(id)
+        ? current.filter((selectedId) => selectedId !== id)
+        : [...current, id]
+    );
+  }
+
+  function updateItems(items) {
+    setData((currentData) =>
+      currentData.map((gallery) => {
+        const item = items.find((i) => i._id === gallery._id);
+        return item ? { ...gallery, ...item } : gallery;
+      })
+    );
+  }
+
+  function approveSelected() {
+    axios
+      .put("/gallery/bulk/approve", { ids: selected })
+      .then((res) => {
+        alert(res.data.message);
+        updateItems(
+          res.data.approved.map((_id) => ({ _id, status: "approved" }))
+        );
+        setSelected([]);
+      })
+      .catch((err) => {
+        alert("Approve Error: " + err.response.data.message);
+      });
+  }
+
+  function rejectGallery(id) {
+    let comment = prompt("Reason for rejecting this item");
+    if (!comment) return;
+    axios
+      .put(`/gallery/${id}/review`, { status: "rejected", comment })
+      .then((res) => updateItems([res.data]))
+      .catch((err) => {
+        alert("Reject Error: " + err.response.data.message);
+      });
+  }
+
+  // rows are moved while dragging, the order is saved on drop
+  function moveItem(targetId) {
+    if (!dragged || dragged == targetId) return;
+    setData((currentData) => {
+      const from = currentData.findIndex((g) => g._id == dragged);
+      const to = currentData.findIndex((g) => g._id == targetId);
+      const reordered = [...currentData];
+      reordered.splice(to, 0, ...reordered.splice(from, 1));
+      return reordered;
+    });
+  }
+
+  function saveOrder() {
+    setDragged(null);
+    axios
+      .put(`/gallery/monument/${id}/order`, {
+        ids: data.map((gallery) => gallery._id),
+      })
+      .catch((err) => {
+        alert("Order Error: " + err.response.data.message);
+      });
+  }
+
+  function makeCover(gallery) {
+    if (!confirm("Use this image as the monument's cover?")) return;
+    axios
+      .put(`/gallery/${gallery._id}/cover`)
+      .then((res) => alert(res.data.message))
+      .catch((err) => {
+        alert("Cover Error: " + err.response.data.message);
+      });
+  }
+
   function handleItemClick(placeId) {
     navigate(`/places/${placeId}`);
   }
@@ -45,6 +148,15 @@ const Gallery = () => {
       <div className="topbar">
         <div className="main-head">Gallery</div>
         <div className="double-btn">
+          {isReviewer && (
+            <button
+              className="btn"
+              disabled={selected.length == 0}
+              onClick={approveSelected}
+            >
+              Approve Selected ({selected.length})
+            </button>
+          )}
           <button className="btn" onClick={() => handleItemClick(id)}>
             Monument
           </button>
@@ -57,22 +169,70 @@ const Gallery = () => {
         <table>
           <thead>
             <tr>
+              <th></th>
+              {isReviewer && <th></th>}
               <th>No</th>
               <th>Title</th>
               {/* <th>Short Description</th> */}
               <th>Media</th>
+              <th>Status</th>
               <th>Action</th>
             </tr>
           </thead>
           <tbody>
             {data.map((gallery, index) => (
-              <tr key={gallery._id}>
+              <tr
+                key={gallery._id}
+                className={dragged == gallery._id ? "dragging" : ""}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData("text/plain", gallery._id);
+                  setDragged(gallery._id);
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  moveItem(gallery._id);
+                }}
+                onDragEnd={saveOrder}
+              >
+                <td>
+                  <span
+                    className="material-symbols-outlined drag-handle"
+                    title="Drag to reorder"
+                  >
+                    drag_indicator
+                  </span>
+                </td>
+                {isReviewer && (
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(gallery._id)}
+                      disabled={isProcessing(gallery)}
+                      title={
+                        isProcessing(gallery)
+                          ? "Media is still processing"
+                          : undefined
+                      }
+                      onChange={() => toggleSelected(gallery._id)}
+                    />
+                  </td>
+                )}
                 <td>{index + 1}</td>
                 <td>{gallery.imgTitle}</td>
                 {/* <td>{gallery.description}</td> */}
                 <td>
-                  {gallery.imageUrl && gallery.image?.endsWith(".mp4") ? (
-                    <video className="image-display" controls>
+                  {isUnprocessed(gallery) ? (
+                    <div className="image-display media-status">
+                      {mediaLabels[gallery.mediaStatus]}
+                    </div>
+                  ) : gallery.imageUrl && gallery.image?.endsWith(".mp4") ? (
+                    <video
+                      className="image-display"
+                      controls
+                      preload="none"
+                      poster={gallery.posterUrl}
+                    >
                       <source src={gallery.imageUrl} type="video/mp4" />
                       Your browser does not support the video tag.
                     </video>
@@ -84,8 +244,49 @@ const Gallery = () => {
                     />
                   )}
                 </td>
+                <td>
+                  <div className="dataAlign">
+                    <span
+                      className={gallery.status == "approved" ? "YES" : "NO"}
+                    >
+                      {statusLabels[gallery.status]}
+                    </span>
+                    {mediaLabels[gallery.mediaStatus] &&
+                      !isUnprocessed(gallery) && (
+                        <p
+                          className={`media-status ${gallery.mediaStatus}`}
+                          title={gallery.mediaError}
+                        >
+                          {mediaLabels[gallery.mediaStatus]}
+                        </p>
+                      )}
+                    <DuplicateWarning duplicates={gallery.duplicates} />
+                    {lastReviewComment(gallery) && (
+                      <p className="review-comment">
+                        {lastReviewComment(gallery).comment}
+                      </p>
+                    )}
+                    {isReviewer && gallery.status == "submitted" && (
+                      <button
+                        className="btn"
+                        onClick={() => rejectGallery(gallery._id)}
+                      >
+                        Reject
+                      </button>
+                    )}
+                  </div>
+                </td>
                 <td className="icons">
                   <div className="tool-con">
+                    {gallery.variants && !isUnprocessed(gallery) && (
+                      <span
+                        className="material-symbols-outlined tool edit"
+                        title="Use as cover"
+                        onClick={() => makeCover(gallery)}
+                      >
+                        wallpaper
+                      </span>
+                    )}
                     <Link to={`/manage/gallery/edit/${gallery._id}`}>
                       <span className="material-symbols-outlined tool edit">
                         edit_square
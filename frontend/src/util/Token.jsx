@@ -1,13 +1,13 @@
-const checkAdmin = (setIsAdmin) => {
+export const tokenType = () => {
   const token = localStorage.getItem("token");
-  if (token == null) {
-    setIsAdmin(false);
-    return;
-  }
+  if (token == null) return null;
   const usertk = token.split(".")[1];
   const decodedtk = JSON.parse(atob(usertk));
-  const type = decodedtk.type;
-  console.log(type);
+  return decodedtk.type;
+};
+
+const checkAdmin = (setIsAdmin) => {
+  const type = tokenType();
   if (type == "admin") {
     setIsAdmin(true);
   } else {
@@ -15,4 +15,10 @@ const checkAdmin = (setIsAdmin) => {
   }
 };
 
+// reviewers and admins can verify monuments and approve revisions
+export const checkReviewer = (setIsReviewer) => {
+  const type = tokenType();
+  setIsReviewer(type == "admin" || type == "reviewer");
+};
+
 export default checkAdmin;
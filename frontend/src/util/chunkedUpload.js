@@ -0,0 +1,75 @@
+import axios from "axios";
+
+// Sends `session.file` to the API in chunks (see
+// backend/routes/uploadRoute.js) so a dropped connection only loses the
+// chunk in flight. A session sent before resumes with the chunks the server
+// doesn't have yet. Resolves with the upload id once complete, or null when
+// paused with pauseUpload.
+export const sendInChunks = async (session, onProgress) => {
+  session.paused = false;
+  const { data } = session.uploadId
+    ? await axios.get(`uploads/${session.uploadId}`)
+    : await axios.post("uploads", {
+        filename: session.file.name,
+        mimetype: session.file.type,
+        size: session.file.size,
+      });
+  session.uploadId = data.uploadId;
+
+  const chunkOf = (index) =>
+    session.file.slice(index * data.chunkSize, (index + 1) * data.chunkSize);
+  let sent = data.received.reduce(
+    (total, index) => total + chunkOf(index).size,
+    0
+  );
+
+  for (let index = 0; index < data.totalChunks; index++) {
+    if (data.received.includes(index)) continue;
+    if (session.paused) return null;
+
+    const chunk = chunkOf(index);
+    session.controller = new AbortController();
+    try {
+      await axios.put(`uploads/${data.uploadId}/chunks/${index}`, chunk, {
+        headers: { "Content-Type": "application/octet-stream" },
+        signal: session.controller.signal,
+        onUploadProgress: (event) =>
+          onProgress((sent + event.loaded) / data.size),
+      });
+    } catch (err) {
+      if (axios.isCancel(err)) return null;
+      throw err;
+    }
+    sent += chunk.size;
+  }
+
+  await axios.post(`uploads/${data.uploadId}/complete`);
+  onProgress(1);
+  return data.uploadId;
+};
+
+// stops after the chunk in flight, which is sent again on resume
+export const pauseUpload = (session) => {
+  session.paused = true;
+  session.controller?.abort();
+};
+
+// drops what the server has of an upload that won't be used
+export const discardUpload = (session) => {
+  pauseUpload(session);
+  if (session.uploadId) {
+    axios.delete(`uploads/${session.uploadId}`).catch(() => {});
+  }
+};
+
+// The API explains refused uploads (400, 413, 415) in `message`. A proxy in
+// front of it may refuse a large request before it gets there.
+const statusMessages = {
+  413: "File is too big",
+  415: "File type is not supported",
+};
+
+export const uploadError = (err) =>
+  err.response?.data?.message ||
+  statusMessages[err.response?.status] ||
+  err.message;
@@ -0,0 +1,32 @@
+// Monument locations come from the API as GeoJSON points,
+// { type: "Point", coordinates: [longitude, latitude] }.
+
+// [latitude, longitude] of a location, or null when it has none
+export const latLngOf = (location) =>
+  location && Array.isArray(location.coordinates)
+    ? [location.coordinates[1], location.coordinates[0]]
+    : null;
+
+// "latitude,longitude" text used by the monument forms
+export const formatLocation = (location) => {
+  // versions saved before locations were points hold the text itself
+  if (typeof location == "string") return location;
+  const latLng = latLngOf(location);
+  return latLng ? latLng.join(",") : "";
+};
+
+export const formatDistance = (meters) =>
+  meters < 1000
+    ? `${Math.round(meters)} m`
+    : `${(meters / 1000).toFixed(1)} km`;
+
+// field values of a monument as text, for revision and version diffs
+export const fieldText = (field, value) => {
+  if (field == "location") return formatLocation(value);
+  if (field == "cover_rights") {
+    return Object.entries(value || {})
+      .map(([key, text]) => `${key}: ${text}`)
+      .join(", ");
+  }
+  return value;
+};
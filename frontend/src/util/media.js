@@ -0,0 +1,53 @@
+// state of the uploaded media while the worker processes it in the
+// background, "ready" items have no label
+export const mediaLabels = {
+  processing: "Processing media...",
+  failed: "Media processing failed",
+};
+
+// a new gallery upload that has no processed media to show yet
+export const isUnprocessed = (item) =>
+  Boolean(item.pendingUpload) && item.pendingUpload == item.image;
+
+// new media the worker hasn't finished, it can't be approved until then
+export const isProcessing = (item) =>
+  Boolean(item.pendingUpload) || item.mediaStatus == "processing";
+
+// milliseconds between checks while something is processing
+export const mediaPollInterval = 5000;
+
+// what an earlier near-duplicate of an image is, see
+// services/duplicates.js in the backend
+export const duplicateLabel = (duplicate) => {
+  if (duplicate.kind == "cover") return `the cover of "${duplicate.title}"`;
+  return duplicate.sameMonument
+    ? `"${duplicate.title}" in this gallery`
+    : `"${duplicate.title}" in another monument's gallery`;
+};
+
+// file types offered by the upload inputs. Browsers other than Safari don't
+// know the type of HEIC photos from iPhones, so those go by extension.
+export const acceptImages = "image/*, .heic, .heif";
+export const acceptMedia = `${acceptImages}, video/*`;
+
+// largest files in MB the API accepts, see services/uploadChecks.js in the
+// backend. The API checks the content again, this only saves sending a file
+// that would be refused.
+const maxImageMB = 20;
+const maxVideoMB = 100;
+
+// why the API would refuse `file`, or null when it looks fine
+export const fileProblem = (file, allowVideo = true) => {
+  const isVideo = allowVideo && file.type.startsWith("video");
+  const isImage =
+    file.type.startsWith("image") || /\.hei[cf]$/i.test(file.name);
+  if (!isImage && !isVideo) {
+    return `${file.name} is not ${allowVideo ? "an image or a video" : "an image"}`;
+  }
+
+  const limit = isVideo ? maxVideoMB : maxImageMB;
+  if (file.size > 1048576 * limit) {
+    return `${file.name} is too big, ${isVideo ? "videos" : "images"} can be at most ${limit} MB`;
+  }
+  return null;
+};
@@ -0,0 +1,33 @@
+export const statusLabels = {
+  draft: "Draft",
+  submitted: "Pending",
+  changes_requested: "Changes Requested",
+  approved: "Verified",
+  rejected: "Rejected",
+  archived: "Archived",
+};
+
+// states a contributor can (re)submit for review from
+export const submittable = ["draft", "changes_requested", "rejected"];
+
+// latest reviewer feedback on a monument or gallery item
+export const lastReviewComment = (item) =>
+  [...(item.reviewLog || [])].reverse().find((entry) => entry.comment);
+
+// transitions a reviewer can make from each state, with their button label
+export const reviewActions = {
+  submitted: [
+    { status: "approved", label: "Approve" },
+    { status: "changes_requested", label: "Request Changes" },
+    { status: "rejected", label: "Reject" },
+  ],
+  approved: [
+    { status: "changes_requested", label: "Unverify" },
+    { status: "archived", label: "Archive" },
+  ],
+  rejected: [{ status: "archived", label: "Archive" }],
+  archived: [{ status: "approved", label: "Republish" }],
+};
+
+// the contributor must be told why when content is sent back
+export const commentRequired = ["changes_requested", "rejected"];
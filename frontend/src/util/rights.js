@@ -0,0 +1,62 @@
+import PropTypes from "prop-types";
+
+// licences a contributor can choose from, keys as stored by the API
+export const licences = {
+  "cc-by": {
+    label: "CC BY 4.0",
+    url: "https://creativecommons.org/licenses/by/4.0/",
+  },
+  "cc-by-sa": {
+    label: "CC BY-SA 4.0",
+    url: "https://creativecommons.org/licenses/by-sa/4.0/",
+  },
+  "cc-by-nc": {
+    label: "CC BY-NC 4.0",
+    url: "https://creativecommons.org/licenses/by-nc/4.0/",
+  },
+  "cc-by-nc-sa": {
+    label: "CC BY-NC-SA 4.0",
+    url: "https://creativecommons.org/licenses/by-nc-sa/4.0/",
+  },
+  cc0: {
+    label: "CC0 1.0",
+    url: "https://creativecommons.org/publicdomain/zero/1.0/",
+  },
+  "public-domain": { label: "Public domain" },
+  "all-rights-reserved": { label: "All rights reserved" },
+};
+
+// credit and licence of a photo or video as the API sends them
+export const rightsPropType = PropTypes.shape({
+  credit: PropTypes.string,
+  sourceUrl: PropTypes.string,
+  licence: PropTypes.string,
+  capturedAt: PropTypes.string,
+  caption: PropTypes.string,
+});
+
+export const emptyRights = {
+  credit: "",
+  sourceUrl: "",
+  licence: "",
+  capturedAt: "",
+  caption: "",
+};
+
+// rights as returned by the API, in the shape the form fields edit. The
+// capture date defaults to the one the camera recorded in `exif`.
+export const rightsFormValue = (rights, exif) => {
+  const capturedAt = rights?.capturedAt || exif?.capturedAt;
+  return {
+    ...emptyRights,
+    ...rights,
+    capturedAt: capturedAt ? capturedAt.slice(0, 10) : "",
+  };
+};
+
+// multipart forms send rights as name[field] fields
+export const appendRights = (formData, name, rights) => {
+  for (const [field, value] of Object.entries(rights)) {
+    formData.append(`${name}[${field}]`, value);
+  }
+};
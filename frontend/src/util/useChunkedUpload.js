@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from "react";
+import { sendInChunks, pauseUpload, uploadError } from "./chunkedUpload";
+
+// Uploads one file in chunks, see util/chunkedUpload.js. `status` is idle,
+// uploading, paused, failed or done; a paused or failed upload resumes
+// where it stopped. Once done, `uploadId` is sent with the gallery item
+// instead of the file.
+const useChunkedUpload = () => {
+  const [status, setStatus] = useState("idle");
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const [uploadId, setUploadId] = useState(null);
+  // the upload being sent: { file, uploadId, paused, controller }
+  const session = useRef(null);
+
+  const run = async (current) => {
+    const isCurrent = () => session.current == current;
+    setStatus("uploading");
+    setError(null);
+
+    try {
+      const id = await sendInChunks(current, (fraction) => {
+        if (isCurrent()) setProgress(fraction);
+      });
+      if (!isCurrent()) return;
+      if (!id) return setStatus("paused");
+      setUploadId(id);
+      setStatus("done");
+    } catch (err) {
+      if (!isCurrent()) return;
+      setError(uploadError(err));
+      setStatus("failed");
+    }
+  };
+
+  const pause = () => {
+    if (session.current) pauseUpload(session.current);
+  };
+
+  const start = (file) => {
+    pause();
+    session.current = { file };
+    setProgress(0);
+    setUploadId(null);
+    run(session.current);
+  };
+
+  const resume = () => run(session.current);
+
+  // don't keep sending after the form is closed
+  useEffect(() => pause, []);
+
+  return { status, progress, error, uploadId, start, pause, resume };
+};
+
+export default useChunkedUpload;